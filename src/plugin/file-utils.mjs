@@ -0,0 +1,17 @@
+// file helpers shared by the files the plugin keeps in its data directory
+
+import fs from "node:fs";
+
+// write to a temp file and rename it over the file - renames are atomic, so a crash or
+// power loss mid-write leaves either the old or the new file, never half of it
+export function writeFileAtomically(filePath, data) {
+	const tempPath = `${filePath}.tmp`;
+	const fd = fs.openSync(tempPath, "w");
+	try {
+		fs.writeSync(fd, data);
+		fs.fsyncSync(fd);
+	} finally {
+		fs.closeSync(fd);
+	}
+	fs.renameSync(tempPath, filePath);
+}
@@ -1,14 +1,55 @@
-import fs from "node:fs";
-import path from "node:path";
 import defaultCollisionProfiles from "../web/assets/defaultCollisionProfiles.json" with {
 	type: "json",
 };
 import * as aisUtils from "../web/assets/scripts/ais-utils.mjs";
+import {
+	acknowledgeAlarm,
+	isAlarmAnnounced,
+	isAlarmAudible,
+	muteAlarm,
+	silenceAlarm,
+	unmuteAlarm,
+} from "../web/assets/scripts/alarm-lifecycle.mjs";
+import {
+	createProfile,
+	deleteProfile,
+	isProfile,
+	renameProfile,
+} from "../web/assets/scripts/collision-profiles.mjs";
+import { migrateCollisionProfiles } from "../web/assets/scripts/collision-profiles-migration.mjs";
+import { validateCollisionProfiles } from "../web/assets/scripts/collision-profiles-schema.mjs";
+import { getConflictDescription } from "../web/assets/scripts/conflict-analysis.mjs";
+import { getTrialManoeuvres } from "../web/assets/scripts/trial-manoeuvre.mjs";
+import { getLandDistance, updateLandDistance } from "./land-distance.mjs";
+import {
+	listBackups,
+	loadCollisionProfiles,
+	readBackup,
+	storeCollisionProfiles,
+} from "./profile-storage.mjs";
+import {
+	getActiveProfileRegion,
+	updateProfileRegions,
+} from "./profile-regions.mjs";
+import {
+	getProfileSwitchingStatus,
+	resetProfileSwitching,
+	updateProfileSwitching,
+} from "./profile-switching.mjs";
 import schema from "./schema.json" with { type: "json" };
+import {
+	fillFromStaticDataCache,
+	getStaticData,
+	loadStaticDataCache,
+	saveStaticDataCache,
+	updateStaticDataCache,
+} from "./static-data-cache.mjs";
+import { loadTargets, saveTargets } from "./target-persistence.mjs";
 import * as vesper from "./vesper-xb8000-emulator.mjs";
 
 const AGE_OUT_OLD_TARGETS = true;
 const TARGET_MAX_AGE = 30 * 60; // max age in seconds - 30 minutes
+const SAVE_TARGETS_INTERVAL = 60 * 1000; // save a snapshot of the targets (and the static data cache) every 60 seconds
 
 var selfMmsi;
 var selfName;
@@ -17,7 +58,9 @@ var selfTypeId;
 var selfTarget;
 
 var targets = new Map();
+var conflicts = [];
 var collisionProfiles;
+var collisionProfilesWarning; // set when collisionProfiles.json was invalid, and we fell back to a backup or the defaults
 var options;
 
 export default function (app) {
@@ -25,6 +68,7 @@ export default function (app) {
 	var unsubscribes = [];
 
 	var refreshDataModelInterval;
+	var saveTargetsInterval;
 
 	plugin.id = "signalk-ais-target-prioritizer";
 	plugin.name = "SignalK AIS Target Prioritizer";
@@ -69,6 +113,12 @@ export default function (app) {
 		if (refreshDataModelInterval) {
 			clearInterval(refreshDataModelInterval);
 		}
+		if (saveTargetsInterval) {
+			clearInterval(saveTargetsInterval);
+			saveTargetsInterval = null;
+			saveTargets(app, targets, selfMmsi);
+			saveStaticDataCache(app);
+		}
 		if (options?.enableEmulator) {
 			vesper.stop();
 		}
@@ -85,61 +135,221 @@ export default function (app) {
 
 		// PUT /plugins/${plugin.id}/setCollisionProfiles
 		router.put("/setCollisionProfiles", (req, res) => {
-			var newCollisionProfiles = req.body;
+			// profiles from older versions of the plugin get the settings they are missing - anything
+			// invalid is left as it is, and rejected. see collision-profiles-migration.mjs
+			var newCollisionProfiles = migrateCollisionProfiles(
+				req.body,
+				defaultCollisionProfiles,
+			);
 			app.debug("setCollisionProfiles", newCollisionProfiles);
-			// do some basic validation to ensure we have some real config data before saving it
-			if (
-				!newCollisionProfiles ||
-				!newCollisionProfiles.current ||
-				!newCollisionProfiles.anchor ||
-				!newCollisionProfiles.harbor ||
-				!newCollisionProfiles.coastal ||
-				!newCollisionProfiles.offshore
-			) {
+			// see collision-profiles-schema.mjs
+			const errors = validateCollisionProfiles(newCollisionProfiles);
+			if (errors.length > 0) {
 				app.error(
-					"ERROR - not saving invalid new collision profiles",
-					newCollisionProfiles,
+					"ERROR - not saving invalid new collision profiles:",
+					errors.join("; "),
 				);
-				res.status(500).end();
+				res.status(400).json({ errors: errors });
 				return;
 			}
-			// must use Object.assign rather than "collisionProfiles = newCollisionProfiles" to prevent breaking the reference we passed into the vesper emulator
-			Object.assign(collisionProfiles, newCollisionProfiles);
+			replaceCollisionProfiles(newCollisionProfiles);
 			saveCollisionProfiles();
 			res.json(collisionProfiles);
 		});
 
+		// GET /plugins/${plugin.id}/getProfileBackups
+		router.get("/getProfileBackups", (_req, res) => {
+			res.json(listBackups(app));
+		});
+
+		// POST /plugins/${plugin.id}/restoreProfileBackup/:name
+		// the profiles being replaced are backed up first, so that a restore can be undone
+		router.post("/restoreProfileBackup/:name", (req, res) => {
+			const name = req.params.name;
+			app.debug("restoreProfileBackup", name);
+			const backup = readBackup(app, name);
+			if (!backup.collisionProfiles) {
+				res.status(404).end();
+			} else if (backup.errors.length > 0) {
+				res.status(400).json({ errors: backup.errors });
+			} else {
+				replaceCollisionProfiles(backup.collisionProfiles);
+				saveCollisionProfiles(true);
+				collisionProfilesWarning = null;
+				res.json(collisionProfiles);
+			}
+		});
+
+		// POST /plugins/${plugin.id}/createProfile { "name": "Fog", "from": "coastal" }
+		// creates a copy of the "from" profile - of the default coastal profile when not given
+		router.post("/createProfile", (req, res) => {
+			const { name, from } = req.body ?? {};
+			app.debug("createProfile", name, from);
+			if (from != null && !isProfile(collisionProfiles[from])) {
+				res.status(404).end();
+				return;
+			}
+			const id = createProfile(
+				collisionProfiles,
+				name,
+				from != null
+					? collisionProfiles[from]
+					: defaultCollisionProfiles.coastal,
+			);
+			if (!id) {
+				res.status(400).end();
+				return;
+			}
+			saveCollisionProfiles();
+			res.json({ id: id });
+		});
+
+		// PUT /plugins/${plugin.id}/renameProfile/:id { "name": "Night Coastal" }
+		router.put("/renameProfile/:id", (req, res) => {
+			const id = req.params.id;
+			app.debug("renameProfile", id, req.body?.name);
+			if (!isProfile(collisionProfiles[id])) {
+				res.status(404).end();
+			} else if (renameProfile(collisionProfiles, id, req.body?.name)) {
+				saveCollisionProfiles();
+				res.json();
+			} else {
+				res.status(400).end();
+			}
+		});
+
+		// DELETE /plugins/${plugin.id}/deleteProfile/:id
+		router.delete("/deleteProfile/:id", (req, res) => {
+			const id = req.params.id;
+			app.debug("deleteProfile", id);
+			if (!isProfile(collisionProfiles[id])) {
+				res.status(404).end();
+			} else if (deleteProfile(collisionProfiles, id)) {
+				saveCollisionProfiles();
+				res.json();
+			} else {
+				res.status(400).end();
+			}
+		});
+
+		// GET /plugins/${plugin.id}/getProfileSwitching
+		router.get("/getProfileSwitching", (_req, res) => {
+			res.json({
+				...getProfileSwitchingStatus(),
+				current: collisionProfiles.current,
+				region: getActiveProfileRegion()?.name ?? null,
+			});
+		});
+
+		// GET /plugins/${plugin.id}/acknowledgeAllAlarms
+		router.get("/acknowledgeAllAlarms", (_req, res) => {
+			app.debug("acknowledgeAllAlarms");
+			targets.forEach((target) => {
+				if (acknowledgeAlarm(target)) {
+					app.debug("acknowledged alarm for target", target.mmsi, target.name);
+				}
+			});
+			res.json();
+		});
+
 		// GET /plugins/${plugin.id}/muteAllAlarms
+		// kept for existing integrations - muting is acknowledging now
 		router.get("/muteAllAlarms", (_req, res) => {
 			app.debug("muteAllAlarms");
-			targets.forEach((target, mmsi) => {
-				if (target.alarmState === "danger" && !target.alarmIsMuted) {
-					app.debug(
-						"muting alarm for target",
-						mmsi,
-						target.name,
-						target.alarmType,
-						target.alarmState,
-					);
-					target.alarmIsMuted = true;
+			targets.forEach((target) => {
+				acknowledgeAlarm(target);
+			});
+			res.json();
+		});
+
+		// GET /plugins/${plugin.id}/silenceAllAlarms
+		router.get("/silenceAllAlarms", (_req, res) => {
+			app.debug("silenceAllAlarms");
+			targets.forEach((target) => {
+				if (silenceAlarm(target)) {
+					app.debug("silenced alarm for target", target.mmsi, target.name);
 				}
 			});
 			res.json();
 		});
 
+		// GET /plugins/${plugin.id}/acknowledgeAlarm/:mmsi
+		router.get("/acknowledgeAlarm/:mmsi", (req, res) => {
+			var mmsi = req.params.mmsi;
+			app.debug("acknowledgeAlarm", mmsi);
+			if (targets.has(mmsi)) {
+				acknowledgeAlarm(targets.get(mmsi));
+				res.json();
+			} else {
+				res.status(404).end();
+			}
+		});
+
+		// GET /plugins/${plugin.id}/silenceAlarm/:mmsi
+		router.get("/silenceAlarm/:mmsi", (req, res) => {
+			var mmsi = req.params.mmsi;
+			app.debug("silenceAlarm", mmsi);
+			if (targets.has(mmsi)) {
+				silenceAlarm(targets.get(mmsi));
+				res.json();
+			} else {
+				res.status(404).end();
+			}
+		});
+
+		// GET /plugins/${plugin.id}/muteAlarm/:mmsi?duration=seconds
+		router.get("/muteAlarm/:mmsi", (req, res) => {
+			var mmsi = req.params.mmsi;
+			var duration = req.query.duration
+				? Number(req.query.duration)
+				: undefined;
+			app.debug("muteAlarm", mmsi, duration);
+			if (duration !== undefined && !(duration > 0)) {
+				res.status(400).end();
+			} else if (targets.has(mmsi)) {
+				muteAlarm(targets.get(mmsi), duration);
+				res.json();
+			} else {
+				res.status(404).end();
+			}
+		});
+
+		// GET /plugins/${plugin.id}/unmuteAlarm/:mmsi
+		router.get("/unmuteAlarm/:mmsi", (req, res) => {
+			var mmsi = req.params.mmsi;
+			app.debug("unmuteAlarm", mmsi);
+			if (targets.has(mmsi)) {
+				unmuteAlarm(targets.get(mmsi));
+				res.json();
+			} else {
+				res.status(404).end();
+			}
+		});
+
 		// GET /plugins/${plugin.id}/setAlarmIsMuted/:mmsi/:alarmIsMuted
+		// kept for existing integrations - mutes for the default mute duration
 		router.get("/setAlarmIsMuted/:mmsi/:alarmIsMuted", (req, res) => {
 			var mmsi = req.params.mmsi;
 			var alarmIsMuted = req.params.alarmIsMuted === "true";
 			app.debug("setting alarmIsMuted", mmsi, alarmIsMuted);
 			if (targets.has(mmsi)) {
-				targets.get(mmsi).alarmIsMuted = alarmIsMuted;
+				if (alarmIsMuted) {
+					muteAlarm(targets.get(mmsi));
+				} else {
+					unmuteAlarm(targets.get(mmsi));
+				}
 				res.json();
 			} else {
 				res.status(404).end();
 			}
 		});
 
+		// GET /plugins/${plugin.id}/getStaticData
+		router.get("/getStaticData", (_req, res) => {
+			app.debug("getStaticData");
+			res.json(getStaticData());
+		});
+
 		// GET /plugins/${plugin.id}/getTargets
 		router.get("/getTargets", (_req, res) => {
 			app.debug("getTargets", targets.size);
@@ -156,64 +366,91 @@ export default function (app) {
 				res.status(404).end();
 			}
 		});
+
+		// GET /plugins/${plugin.id}/getTrialManoeuvre
+		router.get("/getTrialManoeuvre", (_req, res) => {
+			if (!selfTarget?.isValid) {
+				res.status(404).end();
+				return;
+			}
+			const trialManoeuvres = getTrialManoeuvres(
+				targets,
+				selfTarget,
+				collisionProfiles,
+			);
+			app.debug("getTrialManoeuvre", trialManoeuvres);
+			res.json(trialManoeuvres);
+		});
+
+		// GET /plugins/${plugin.id}/getConflicts
+		router.get("/getConflicts", (_req, res) => {
+			app.debug("getConflicts", conflicts.length);
+			res.json(conflicts);
+		});
 	};
 
+	// see profile-storage.mjs
 	function getCollisionProfiles() {
+		let loaded;
 		try {
-			const dataDirPath = app.getDataDirPath();
-			const collisionProfilesPath = path.join(
-				dataDirPath,
-				"collisionProfiles.json",
-			);
-			if (fs.existsSync(collisionProfilesPath)) {
-				app.debug("Reading file", collisionProfilesPath);
-				collisionProfiles = JSON.parse(
-					fs.readFileSync(collisionProfilesPath).toString(),
-				);
-			} else {
-				app.debug(
-					"collisionProfiles.json not found, using defaultCollisionProfiles",
-					collisionProfilesPath,
-				);
-				collisionProfiles = defaultCollisionProfiles;
-				saveCollisionProfiles();
-			}
+			loaded = loadCollisionProfiles(app);
 		} catch (err) {
 			app.error("Error reading collisionProfiles.json:", err);
-			throw new Error("Error reading collisionProfiles.json:", err);
+			loaded = {
+				collisionProfiles: null,
+				warning:
+					"collisionProfiles.json could not be read - using the default profiles",
+			};
 		}
-	}
-
-	function saveCollisionProfiles() {
-		app.debug("saving ", collisionProfiles);
 
-		var dataDirPath = app.getDataDirPath();
+		collisionProfilesWarning = loaded.warning;
+		if (collisionProfilesWarning) {
+			app.setPluginError(collisionProfilesWarning);
+		}
 
-		if (!fs.existsSync(dataDirPath)) {
-			try {
-				fs.mkdirSync(dataDirPath, { recursive: true });
-			} catch (err) {
-				app.error("Error creating dataDirPath:", err);
-				throw new Error("Error creating dataDirPath:", err);
+		if (loaded.collisionProfiles) {
+			collisionProfiles = loaded.collisionProfiles;
+			// save what we fell back to or migrated, so that the next start finds valid, current profiles.
+			// the file from before the migration is backed up first.
+			if (collisionProfilesWarning || loaded.isMigrated) {
+				saveCollisionProfiles(loaded.isMigrated);
 			}
+		} else {
+			app.debug(
+				"collisionProfiles.json not found or invalid, using defaultCollisionProfiles",
+			);
+			collisionProfiles = structuredClone(defaultCollisionProfiles);
+			saveCollisionProfiles();
 		}
+	}
 
-		var collisionProfilesPath = path.join(
-			dataDirPath,
-			"collisionProfiles.json",
-		);
-		app.debug("Writing file", collisionProfilesPath);
+	function saveCollisionProfiles(isBackupForced) {
+		app.debug("saving ", collisionProfiles);
 		try {
-			fs.writeFileSync(
-				collisionProfilesPath,
-				JSON.stringify(collisionProfiles, null, 2),
-			);
+			storeCollisionProfiles(app, collisionProfiles, isBackupForced);
 		} catch (err) {
 			app.error("Error writing collisionProfiles.json:", err);
 			throw new Error("Error writing collisionProfiles.json:", err);
 		}
 	}
 
+	// replace the profiles in place - without breaking the reference we passed into the vesper emulator
+	function replaceCollisionProfiles(newCollisionProfiles) {
+		// the profile to restore after a region is ours - the webapp may send an old one
+		const profileBeforeRegion = collisionProfiles.profileBeforeRegion;
+		for (const key of Object.keys(collisionProfiles)) {
+			if (!(key in newCollisionProfiles)) {
+				delete collisionProfiles[key];
+			}
+		}
+		Object.assign(collisionProfiles, newCollisionProfiles);
+		if (profileBeforeRegion == null) {
+			delete collisionProfiles.profileBeforeRegion;
+		} else {
+			collisionProfiles.profileBeforeRegion = profileBeforeRegion;
+		}
+	}
+
 	function enablePluginCpaCalculations() {
 		selfMmsi = app.getSelfPath("mmsi");
 		selfName = app.getSelfPath("name");
@@ -278,6 +515,14 @@ export default function (app) {
 					path: "sensors.ais.class",
 					period: 1000,
 				},
+				{
+					path: "sensors.ais.fromBow",
+					period: 1000,
+				},
+				{
+					path: "sensors.ais.fromCenter",
+					period: 1000,
+				},
 				{
 					path: "atonType",
 					period: 1000,
@@ -293,6 +538,10 @@ export default function (app) {
 			],
 		};
 
+		// pick up where we left off before a restart
+		loadStaticDataCache(app);
+		loadTargets(app, targets, selfMmsi, TARGET_MAX_AGE);
+
 		app.subscriptionmanager.subscribe(
 			localSubscription,
 			unsubscribes,
@@ -304,6 +553,11 @@ export default function (app) {
 
 		// update data model every 1 second
 		refreshDataModelInterval = setInterval(refreshDataModel, 1000);
+
+		saveTargetsInterval = setInterval(() => {
+			saveTargets(app, targets, selfMmsi);
+			saveStaticDataCache(app);
+		}, SAVE_TARGETS_INTERVAL);
 	}
 
 	function processDelta(delta) {
@@ -329,6 +583,8 @@ export default function (app) {
 				cog: 0,
 			};
 			target.mmsi = mmsi;
+			// what we know about the vessel from earlier encounters
+			fillFromStaticDataCache(target);
 		}
 
 		target.context = delta.context;
@@ -382,6 +638,12 @@ export default function (app) {
 					case "sensors.ais.class":
 						target.aisClass = value.value;
 						break;
+					case "sensors.ais.fromBow":
+						target.fromBow = value.value;
+						break;
+					case "sensors.ais.fromCenter":
+						target.fromCenter = value.value;
+						break;
 					case "navigation.destination.commonName":
 						target.destination = value.value;
 						break;
@@ -389,7 +651,7 @@ export default function (app) {
 						target.length = value.value.overall;
 						break;
 					case "design.beam":
-						target.width = value.value;
+						target.beam = value.value;
 						break;
 					case "design.draft":
 						target.draft = value.value.current;
@@ -414,6 +676,8 @@ export default function (app) {
 			}
 		}
 
+		updateStaticDataCache(target);
+
 		targets.set(mmsi, target);
 	}
 
@@ -425,15 +689,26 @@ export default function (app) {
 
 			selfTarget = targets.get(selfMmsi);
 
+			// our own position comes from the gps - the antenna offsets of our ais transponder
+			// only apply when the gps has none
+			const gps = app.getSelfPath("sensors.gps");
+			if (selfTarget && gps?.fromBow) {
+				selfTarget.fromBow = gps.fromBow.value;
+				selfTarget.fromCenter = gps.fromCenter?.value;
+			}
+
+			switchCollisionProfile();
+
 			if (aisUtils) {
 				try {
-					aisUtils.updateDerivedData(
+					conflicts = aisUtils.updateDerivedData(
 						targets,
 						selfTarget,
 						collisionProfiles,
 						TARGET_MAX_AGE,
 					);
 				} catch (error) {
+					conflicts = [];
 					app.debug(error); // we use app.debug rather than app.error so that the user can filter these out of the log
 					app.setPluginError(error.message);
 					sendNotification("alarm", error.message);
@@ -459,22 +734,29 @@ export default function (app) {
 					pushTargetDataToSignalK(target);
 				}
 
-				// publish warning/alarm notifications
+				// publish warning/alarm notifications - acknowledged and muted alarms are not announced
 				// FIXME - should we send 1 notification for all targets? or separate notifications for each target?
 				if (
 					options.enableAlarmPublishing &&
 					target.alarmState &&
-					!target.alarmIsMuted
+					isAlarmAnnounced(target)
 				) {
 					const message = (
 						`${target.name || `<${target.mmsi}>`} - ` +
 						`${target.alarmType} ` +
-						`${target.alarmState === "danger" ? "alarm" : target.alarmState}`
+						`${target.alarmState === "danger" ? "alarm" : target.alarmState}` +
+						`${target.alarmType.includes("cpa") && target.encounter ? ` - ${target.encounterFormatted}` : ""}` +
+						`${target.isCompoundEncounter ? ` - ${getConflictDescription(target.conflict)}` : ""}` +
+						`${isAlarmAudible(target) ? "" : " - silenced"}`
 					).toUpperCase();
+					// silenced alarms are only shown
+					const method = isAlarmAudible(target)
+						? ["visual", "sound"]
+						: ["visual"];
 					if (target.alarmState === "warning") {
-						sendNotification("warn", message);
+						sendNotification("warn", message, method);
 					} else if (target.alarmState === "danger") {
-						sendNotification("alarm", message);
+						sendNotification("alarm", message, method);
 					}
 					isCurrentAlarm = true;
 				}
@@ -495,12 +777,65 @@ export default function (app) {
 				sendNotification("normal", "watching");
 			}
 
-			app.setPluginStatus(`Watching ${targets.size - 1} targets`);
+			app.setPluginStatus(
+				`Watching ${targets.size - 1} targets${collisionProfilesWarning ? ` - WARNING: ${collisionProfilesWarning}` : ""}`,
+			);
 		} catch (err) {
 			app.debug("error in refreshDataModel", err.message, err);
 		}
 	}
 
+	// profile regions and automatic profile switching - see profile-regions.mjs and
+	// profile-switching.mjs
+	function switchCollisionProfile() {
+		const profileBeforeRegion = collisionProfiles.profileBeforeRegion;
+		const regionSwitch = updateProfileRegions(
+			collisionProfiles,
+			selfTarget?.lastSeenDate ? selfTarget.latitude : null,
+			selfTarget?.lastSeenDate ? selfTarget.longitude : null,
+		);
+		if (regionSwitch) {
+			resetProfileSwitching(collisionProfiles);
+			announceProfileSwitch(regionSwitch);
+		} else if (collisionProfiles.profileBeforeRegion !== profileBeforeRegion) {
+			saveCollisionProfiles();
+		}
+		if (getActiveProfileRegion()) {
+			return;
+		}
+
+		if (collisionProfiles.autoSwitch?.enabled) {
+			updateLandDistance(
+				selfTarget?.lastSeenDate ? selfTarget.latitude : null,
+				selfTarget?.lastSeenDate ? selfTarget.longitude : null,
+				(err) => app.error("Error calculating the distance to land:", err),
+			);
+		}
+		const profileSwitch = updateProfileSwitching(collisionProfiles, {
+			navigationState: selfTarget?.status,
+			isAnchorWatchSet:
+				app.getSelfPath("navigation.anchor.position")?.value != null ||
+				(options.enableEmulator && vesper.isAnchorWatchSet()),
+			sog: selfTarget?.lastSeenDate ? selfTarget.sog : null,
+			landDistance: getLandDistance(),
+		});
+		if (profileSwitch) {
+			announceProfileSwitch(profileSwitch);
+		}
+	}
+
+	function announceProfileSwitch(profileSwitch) {
+		const message = `Collision profile switched from ${profileSwitch.from} to ${profileSwitch.to} - ${profileSwitch.reason}`;
+		app.debug(message);
+		saveCollisionProfiles();
+		sendNotification(
+			"alert",
+			message,
+			["visual"],
+			"notifications.navigation.collisionProfile",
+		);
+	}
+
 	function pushTargetDataToSignalK(target) {
 		app.handleMessage(plugin.id, {
 			context: target.context,
@@ -512,9 +847,28 @@ export default function (app) {
 							value: {
 								distance: target.cpa,
 								timeTo: target.tcpa,
+								turnAwareDistance: target.turnCpa,
+								turnAwareTimeTo: target.turnTcpa,
+								hullDistance: target.hullCpa,
+								hullTimeTo: target.hullTcpa,
+								bowCrossingRange: target.bcr,
+								bowCrossingTime: target.bct,
+								distanceLowerBound: target.cpaLow,
+								distanceUpperBound: target.cpaHigh,
+								dangerProbability: target.dangerProbability,
+								domainPenetration: Number.isFinite(target.domainPenetration)
+									? target.domainPenetration
+									: null,
 								range: target.range,
 								bearing: target.bearing,
+								rangeRate: target.rangeRate,
+								bearingRate: target.bearingRate,
+								isConstantBearingDecreasingRange: target.isCbdr,
+								encounter: target.encounter,
+								collisionAlarmLifecycle: target.alarmLifecycle,
+								isCompoundEncounter: target.isCompoundEncounter,
 								collisionRiskRating: target.order,
+								collisionRiskScore: target.riskScore,
 								collisionAlarmType: target.alarmType,
 								collisionAlarmState: target.alarmState,
 							},
@@ -525,17 +879,22 @@ export default function (app) {
 		});
 	}
 
-	function sendNotification(state, message) {
-		app.debug("sendNotification", state, message);
+	function sendNotification(
+		state,
+		message,
+		method = ["visual", "sound"],
+		notificationPath = "notifications.navigation.closestApproach",
+	) {
+		app.debug("sendNotification", state, message, method, notificationPath);
 		var delta = {
 			updates: [
 				{
 					values: [
 						{
-							path: "notifications.navigation.closestApproach",
+							path: notificationPath,
 							value: {
 								state: state,
-								method: ["visual", "sound"],
+								method: method,
 								message: message,
 							},
 						},
@@ -0,0 +1,200 @@
+// distance to land
+//
+// from the natural earth 1:10m land polygons - the ne_10m_land.pmtiles the webapp uses
+// for its base map. the tiles go up to zoom level 5, where the coastline is accurate to a
+// few hundred meters, and the smallest islands are dropped - good enough to tell coastal
+// from offshore waters, not for navigation.
+//
+// the distance is calculated in the background, at most every UPDATE_INTERVAL or when we
+// have moved UPDATE_DISTANCE, from the tile we are in and the tiles around it. land
+// further away than those tiles counts as no land at all.
+
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import { PMTiles } from "pmtiles";
+
+// relative to the bundled plugin (plugin/index.cjs)
+const LAND_TILES_PATH = fileURLToPath(
+	new URL("../src/web/assets/ne_10m_land.pmtiles", import.meta.url),
+);
+const LAND_LAYER = "earth";
+const ZOOM = 5;
+const EARTH_RADIUS = 6371000; // in meters
+const UPDATE_INTERVAL = 60; // in seconds
+const UPDATE_DISTANCE = 500; // in meters
+
+var landTiles;
+var landDistance = null; // in meters - Infinity when there is no land nearby
+var lastUpdate; // { latitude, longitude, time }
+var isUpdating = false;
+
+// in meters, or null when we dont know
+export function getLandDistance() {
+	return landDistance;
+}
+
+// starts a new calculation when it is due - errors are passed to onError
+export function updateLandDistance(latitude, longitude, onError) {
+	if (latitude == null || longitude == null) {
+		landDistance = null;
+		return;
+	}
+	if (
+		isUpdating ||
+		(lastUpdate &&
+			Date.now() - lastUpdate.time < UPDATE_INTERVAL * 1000 &&
+			getDistance(lastUpdate, { latitude, longitude }) < UPDATE_DISTANCE)
+	) {
+		return;
+	}
+
+	isUpdating = true;
+	lastUpdate = { latitude, longitude, time: Date.now() };
+	calculateLandDistance(latitude, longitude)
+		.then((distance) => {
+			landDistance = distance;
+		})
+		.catch((err) => {
+			landDistance = null;
+			onError?.(err);
+		})
+		.finally(() => {
+			isUpdating = false;
+		});
+}
+
+async function calculateLandDistance(latitude, longitude) {
+	// vector-tile and pbf are es modules only - the plugin is bundled as commonjs
+	const { VectorTile } = await import("@mapbox/vector-tile");
+	const { default: Pbf } = await import("pbf");
+
+	if (!landTiles) {
+		landTiles = new PMTiles(getFileSource(LAND_TILES_PATH));
+	}
+
+	const tileCount = 2 ** ZOOM;
+	const tileX = Math.floor(((longitude + 180) / 360) * tileCount);
+	const tileY = Math.floor(latitudeToTileY(latitude) * tileCount);
+
+	let distance = Infinity;
+	for (let dx = -1; dx <= 1; dx++) {
+		for (let dy = -1; dy <= 1; dy++) {
+			const y = tileY + dy;
+			if (y < 0 || y >= tileCount) {
+				continue;
+			}
+			const x = (tileX + dx + tileCount) % tileCount;
+			const tile = await landTiles.getZxy(ZOOM, x, y);
+			if (!tile) {
+				continue;
+			}
+			const layer = new VectorTile(new Pbf(tile.data)).layers[LAND_LAYER];
+			for (let i = 0; i < (layer?.length ?? 0); i++) {
+				const feature = layer.feature(i);
+				if (feature.type !== 3) {
+					continue;
+				}
+				// rings of [east, north] in meters from our position
+				const rings = feature.loadGeometry().map((ring) =>
+					ring.map((point) =>
+						toLocal(
+							{
+								latitude: tileYToLatitude(
+									(y + point.y / layer.extent) / tileCount,
+								),
+								longitude:
+									((x + point.x / layer.extent) / tileCount) * 360 - 180,
+							},
+							{ latitude, longitude },
+						),
+					),
+				);
+				if (isInsideRings(rings)) {
+					return 0;
+				}
+				distance = Math.min(distance, getDistanceToRings(rings));
+			}
+		}
+	}
+	return distance;
+}
+
+// a pmtiles source reading the local file
+function getFileSource(filePath) {
+	return {
+		getKey: () => filePath,
+		getBytes: async (offset, length) => {
+			const fd = await fs.promises.open(filePath, "r");
+			try {
+				const buffer = Buffer.alloc(length);
+				const { bytesRead } = await fd.read(buffer, 0, length, offset);
+				return {
+					data: buffer.buffer.slice(
+						buffer.byteOffset,
+						buffer.byteOffset + bytesRead,
+					),
+				};
+			} finally {
+				await fd.close();
+			}
+		},
+	};
+}
+
+// ray casting over all rings, so holes (lakes) are not land
+function isInsideRings(rings) {
+	let isInside = false;
+	for (const ring of rings) {
+		for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+			const [x1, y1] = ring[i];
+			const [x2, y2] = ring[j];
+			if (y1 > 0 !== y2 > 0 && 0 < ((x2 - x1) * (0 - y1)) / (y2 - y1) + x1) {
+				isInside = !isInside;
+			}
+		}
+	}
+	return isInside;
+}
+
+// distance from the origin to the nearest edge
+function getDistanceToRings(rings) {
+	let distance = Infinity;
+	for (const ring of rings) {
+		for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+			const [x1, y1] = ring[j];
+			const [x2, y2] = ring[i];
+			const dx = x2 - x1;
+			const dy = y2 - y1;
+			const d2 = dx * dx + dy * dy;
+			const t =
+				d2 > 0 ? Math.min(1, Math.max(0, -(x1 * dx + y1 * dy) / d2)) : 0;
+			distance = Math.min(distance, Math.hypot(x1 + t * dx, y1 + t * dy));
+		}
+	}
+	return distance;
+}
+
+// [east, north] in meters from the origin - equirectangular, fine over a few tiles
+function toLocal(position, origin) {
+	const dLon = ((position.longitude - origin.longitude + 540) % 360) - 180;
+	return [
+		((dLon * Math.PI) / 180) *
+			EARTH_RADIUS *
+			Math.cos((origin.latitude * Math.PI) / 180),
+		(((position.latitude - origin.latitude) * Math.PI) / 180) * EARTH_RADIUS,
+	];
+}
+
+function getDistance(position1, position2) {
+	return Math.hypot(...toLocal(position1, position2));
+}
+
+// web mercator - 0 at the top of the map, 1 at the bottom
+function latitudeToTileY(latitude) {
+	const lat = (Math.max(-85.05, Math.min(85.05, latitude)) * Math.PI) / 180;
+	return (1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2;
+}
+
+function tileYToLatitude(tileY) {
+	return (Math.atan(Math.sinh(Math.PI * (1 - 2 * tileY))) * 180) / Math.PI;
+}
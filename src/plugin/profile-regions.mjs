@@ -0,0 +1,134 @@
+// collision profiles by region
+//
+// collisionProfiles.regions is a list of polygons drawn in the webapp - harbour
+// approaches, traffic separation schemes, anchorages, ... - each with a collision
+// profile: { name, profile, polygon: [[latitude, longitude], ...] }
+//
+// when our position enters a region, its profile is activated, and the profile that was
+// active before is restored when we leave. when regions overlap, the first region in the
+// list wins. moving straight from one region into another keeps the profile from before
+// the first region. while we are in a region, automatic profile switching is held off.
+//
+// a profile changed by hand (webapp, REST API, or WatchMate) while we are in a region is
+// kept - it is not overwritten until we enter another region, and the profile from before
+// the region is not restored when we leave.
+//
+// the profile to restore is kept in collisionProfiles.profileBeforeRegion - saved with the
+// profiles, so that it is still restored when the plugin was restarted in the meantime.
+// it is only set while we are in a region.
+//
+// polygons are tested in plain latitude/longitude, with the longitudes taken within 180
+// degrees of the first point of the polygon - so regions can cross the antimeridian.
+
+import { isProfile } from "../web/assets/scripts/collision-profiles.mjs";
+
+var activeRegion; // the region we are in
+var activeRegionKey = null;
+var lastProfile; // the active profile as we last saw or set it
+
+// returns { from, to, reason } when the profile was switched, otherwise null
+export function updateProfileRegions(collisionProfiles, latitude, longitude) {
+	const current = collisionProfiles.current;
+
+	if (activeRegion && lastProfile != null && current !== lastProfile) {
+		delete collisionProfiles.profileBeforeRegion;
+	}
+	lastProfile = current;
+
+	if (latitude == null || longitude == null) {
+		return null;
+	}
+
+	const region = findRegion(collisionProfiles.regions, latitude, longitude);
+	// the regions are replaced whenever the profiles are saved, so we compare their contents
+	const regionKey = region ? JSON.stringify(region) : null;
+	// outside the regions there is nothing to restore - unless we left the region while
+	// the plugin was not running
+	if (
+		regionKey === activeRegionKey &&
+		(region || collisionProfiles.profileBeforeRegion == null)
+	) {
+		return null;
+	}
+
+	const leftRegion = activeRegion;
+	activeRegion = region;
+	activeRegionKey = regionKey;
+
+	if (region) {
+		if (collisionProfiles.profileBeforeRegion == null) {
+			collisionProfiles.profileBeforeRegion = current;
+		}
+		return switchProfile(
+			collisionProfiles,
+			region.profile,
+			`entered region ${region.name}`,
+		);
+	}
+
+	const profile = collisionProfiles.profileBeforeRegion;
+	delete collisionProfiles.profileBeforeRegion;
+	return switchProfile(
+		collisionProfiles,
+		profile,
+		leftRegion ? `left region ${leftRegion.name}` : "left the region",
+	);
+}
+
+export function getActiveProfileRegion() {
+	return activeRegion ?? null;
+}
+
+function switchProfile(collisionProfiles, profile, reason) {
+	const current = collisionProfiles.current;
+	if (
+		!profile ||
+		profile === current ||
+		!isProfile(collisionProfiles[profile])
+	) {
+		return null;
+	}
+	collisionProfiles.current = profile;
+	lastProfile = profile;
+	return { from: current, to: profile, reason: reason };
+}
+
+function findRegion(regions, latitude, longitude) {
+	if (!Array.isArray(regions)) {
+		return null;
+	}
+	return (
+		regions.find(
+			(region) =>
+				Array.isArray(region.polygon) &&
+				isInsidePolygon(region.polygon, latitude, longitude),
+		) ?? null
+	);
+}
+
+// ray casting - count the polygon edges crossed by a line from the point due east
+function isInsidePolygon(polygon, latitude, longitude) {
+	const firstLongitude = polygon[0][1];
+	const unwrap = (lon) => firstLongitude + wrapLongitude(lon - firstLongitude);
+	longitude = unwrap(longitude);
+
+	let isInside = false;
+	for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+		const lat1 = polygon[i][0];
+		const lon1 = unwrap(polygon[i][1]);
+		const lat2 = polygon[j][0];
+		const lon2 = unwrap(polygon[j][1]);
+		if (
+			lat1 > latitude !== lat2 > latitude &&
+			longitude < ((lon2 - lon1) * (latitude - lat1)) / (lat2 - lat1) + lon1
+		) {
+			isInside = !isInside;
+		}
+	}
+	return isInside;
+}
+
+// -180 to 180
+function wrapLongitude(longitude) {
+	return ((((longitude + 180) % 360) + 360) % 360) - 180;
+}
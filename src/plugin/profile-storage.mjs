@@ -0,0 +1,186 @@
+// crash-safe storage of the collision profiles in the plugin data directory
+//
+// collisionProfiles.json is written atomically: to a temp file first, which is then
+// renamed over the old file - so a crash or power loss mid-write leaves either the old
+// or the new profiles, never half of them. before a save replaces the file, the old file
+// is copied to the backups directory - at most once per BACKUP_INTERVAL, keeping the
+// MAX_BACKUPS newest backups.
+//
+// profiles from older versions of the plugin are migrated when they are read (see
+// collision-profiles-migration.mjs), and saved in the new format right away.
+//
+// when collisionProfiles.json can not be read, parsed, or validated, it is kept as
+// collisionProfiles.json.invalid, and the newest valid backup is used instead (or the
+// default profiles when there is none) - with a warning for the plugin status.
+
+import fs from "node:fs";
+import path from "node:path";
+import defaultCollisionProfiles from "../web/assets/defaultCollisionProfiles.json" with {
+	type: "json",
+};
+import {
+	isMigrationNeeded,
+	migrateCollisionProfiles,
+} from "../web/assets/scripts/collision-profiles-migration.mjs";
+import { validateCollisionProfiles } from "../web/assets/scripts/collision-profiles-schema.mjs";
+import { writeFileAtomically } from "./file-utils.mjs";
+
+const PROFILES_FILE = "collisionProfiles.json";
+const BACKUP_DIR = "collisionProfileBackups";
+const BACKUP_INTERVAL = 60 * 60; // in seconds - 1 hour
+const MAX_BACKUPS = 20;
+
+var lastBackupTime = 0;
+
+// returns { collisionProfiles, warning, isMigrated } - collisionProfiles is null when
+// there is no profiles file yet, warning is null when the profiles file was fine
+export function loadCollisionProfiles(app) {
+	const profilesPath = path.join(app.getDataDirPath(), PROFILES_FILE);
+	lastBackupTime = getLastBackupTime(app);
+
+	if (!fs.existsSync(profilesPath)) {
+		return { collisionProfiles: null, warning: null };
+	}
+
+	app.debug("Reading file", profilesPath);
+	const { collisionProfiles, errors, isMigrated } =
+		readCollisionProfiles(profilesPath);
+	if (errors.length === 0) {
+		if (isMigrated) {
+			app.debug(
+				`Migrated ${PROFILES_FILE} to version ${collisionProfiles.version}`,
+			);
+		}
+		return {
+			collisionProfiles: collisionProfiles,
+			warning: null,
+			isMigrated: isMigrated,
+		};
+	}
+
+	app.error(`${PROFILES_FILE} is invalid:`, errors.join("; "));
+	try {
+		fs.copyFileSync(profilesPath, `${profilesPath}.invalid`);
+	} catch (err) {
+		app.error(`Error keeping the invalid ${PROFILES_FILE}:`, err);
+	}
+
+	for (const backup of listBackups(app)) {
+		const restored = readCollisionProfiles(getBackupPath(app, backup.name));
+		if (restored.errors.length === 0) {
+			return {
+				collisionProfiles: restored.collisionProfiles,
+				warning: `${PROFILES_FILE} is invalid - using the backup from ${backup.date}`,
+			};
+		}
+	}
+	return {
+		collisionProfiles: null,
+		warning: `${PROFILES_FILE} is invalid - using the default profiles`,
+	};
+}
+
+// isBackupForced: back up the old file whatever the time since the last backup
+export function storeCollisionProfiles(app, collisionProfiles, isBackupForced) {
+	const dataDirPath = app.getDataDirPath();
+	const profilesPath = path.join(dataDirPath, PROFILES_FILE);
+
+	if (!fs.existsSync(dataDirPath)) {
+		fs.mkdirSync(dataDirPath, { recursive: true });
+	}
+
+	if (
+		fs.existsSync(profilesPath) &&
+		(isBackupForced || Date.now() - lastBackupTime > BACKUP_INTERVAL * 1000)
+	) {
+		backUpCollisionProfiles(app, profilesPath);
+	}
+
+	app.debug("Writing file", profilesPath);
+	writeFileAtomically(profilesPath, JSON.stringify(collisionProfiles, null, 2));
+}
+
+// newest first: [{ name, date, size }]
+export function listBackups(app) {
+	const backupDirPath = path.join(app.getDataDirPath(), BACKUP_DIR);
+	if (!fs.existsSync(backupDirPath)) {
+		return [];
+	}
+	return fs
+		.readdirSync(backupDirPath)
+		.filter((name) => /^collisionProfiles-[\dTZ-]+\.json$/.test(name))
+		.sort()
+		.reverse()
+		.map((name) => {
+			const stats = fs.statSync(path.join(backupDirPath, name));
+			return {
+				name: name,
+				date: stats.mtime.toISOString(),
+				size: stats.size,
+			};
+		});
+}
+
+// returns { collisionProfiles, errors } - collisionProfiles is null when there is no
+// such backup
+export function readBackup(app, name) {
+	if (!listBackups(app).some((backup) => backup.name === name)) {
+		return { collisionProfiles: null, errors: [] };
+	}
+	return readCollisionProfiles(getBackupPath(app, name));
+}
+
+function readCollisionProfiles(filePath) {
+	try {
+		const savedCollisionProfiles = JSON.parse(
+			fs.readFileSync(filePath).toString(),
+		);
+		const collisionProfiles = migrateCollisionProfiles(
+			savedCollisionProfiles,
+			defaultCollisionProfiles,
+		);
+		return {
+			collisionProfiles: collisionProfiles,
+			errors: validateCollisionProfiles(collisionProfiles),
+			isMigrated: isMigrationNeeded(savedCollisionProfiles),
+		};
+	} catch (err) {
+		return {
+			collisionProfiles: null,
+			errors: [err.message],
+			isMigrated: false,
+		};
+	}
+}
+
+// only valid profiles are backed up - a backup has to be something we can go back to
+function backUpCollisionProfiles(app, profilesPath) {
+	if (readCollisionProfiles(profilesPath).errors.length > 0) {
+		return;
+	}
+	const backupDirPath = path.join(app.getDataDirPath(), BACKUP_DIR);
+	try {
+		if (!fs.existsSync(backupDirPath)) {
+			fs.mkdirSync(backupDirPath, { recursive: true });
+		}
+		const name = `collisionProfiles-${new Date().toISOString().replace(/[:.]/g, "-")}.json`;
+		fs.copyFileSync(profilesPath, path.join(backupDirPath, name));
+		lastBackupTime = Date.now();
+		app.debug("Backed up collision profiles to", name);
+
+		for (const backup of listBackups(app).slice(MAX_BACKUPS)) {
+			fs.unlinkSync(path.join(backupDirPath, backup.name));
+		}
+	} catch (err) {
+		app.error("Error backing up collision profiles:", err);
+	}
+}
+
+function getLastBackupTime(app) {
+	const newestBackup = listBackups(app)[0];
+	return newestBackup ? Date.parse(newestBackup.date) : 0;
+}
+
+function getBackupPath(app, name) {
+	return path.join(app.getDataDirPath(), BACKUP_DIR, name);
+}
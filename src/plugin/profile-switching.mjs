@@ -0,0 +1,175 @@
+// automatic collision profile switching
+//
+// when collisionProfiles.autoSwitch.enabled is set, the active profile follows these
+// rules (the first that applies wins):
+// anchor: our navigation.state is anchored, or an anchor watch is set
+// harbor: our sog is below harborSpeed
+// offshore: we are more than offshoreDistance from land (see land-distance.mjs), at
+//   offshoreSpeed or more
+// coastal: otherwise
+//
+// to keep the profile from flapping, the speed and distance thresholds are moved by
+// speedMargin and distanceMargin against leaving the current profile, and the rules have
+// to indicate the new profile for dwell seconds before we switch. an unknown distance to
+// land does not end the offshore profile.
+//
+// when the profile is changed by hand (webapp, REST API, or WatchMate), automatic
+// switching holds off until the rules indicate a different profile than they did when
+// the profile was changed.
+//
+// while we are in a profile region (see profile-regions.mjs), the region decides the
+// profile, and automatic switching is held off.
+
+const METERS_PER_NM = 1852;
+const KNOTS_PER_M_PER_S = 1.94384;
+
+export const DEFAULT_AUTO_SWITCH = {
+	enabled: false,
+	harborSpeed: 3, // in knots
+	offshoreSpeed: 5, // in knots
+	speedMargin: 0.5, // in knots
+	offshoreDistance: 12, // in NM
+	distanceMargin: 1, // in NM
+	dwell: 60, // in seconds
+};
+
+var lastProfile; // the active profile as we last saw or set it
+var overriddenProfile; // the profile the rules indicated when the profile was changed by hand
+var candidate; // { profile, reason, since } - the profile the rules indicate, while we wait out the dwell time
+var status = {};
+
+export function getAutoSwitchSettings(collisionProfiles) {
+	return { ...DEFAULT_AUTO_SWITCH, ...collisionProfiles.autoSwitch };
+}
+
+// situation: { navigationState, isAnchorWatchSet, sog (m/s), landDistance (m) }
+// returns { from, to, reason } when the profile was switched, otherwise null
+export function updateProfileSwitching(collisionProfiles, situation) {
+	const settings = getAutoSwitchSettings(collisionProfiles);
+	const current = collisionProfiles.current;
+
+	if (lastProfile != null && current !== lastProfile) {
+		overriddenProfile = settings.enabled
+			? getIndicatedProfile(settings, current, situation)?.profile
+			: undefined;
+	}
+	lastProfile = current;
+
+	if (!settings.enabled) {
+		overriddenProfile = undefined;
+		candidate = null;
+		status = { enabled: false, current: current };
+		return null;
+	}
+
+	const indicated = getIndicatedProfile(settings, current, situation);
+	status = {
+		enabled: true,
+		current: current,
+		indicated: indicated?.profile ?? null,
+		reason: indicated?.reason ?? null,
+		landDistance: situation.landDistance ?? null,
+		isOverridden: overriddenProfile !== undefined,
+	};
+
+	if (!indicated) {
+		candidate = null;
+		return null;
+	}
+
+	// the manual override holds until the situation changes
+	if (overriddenProfile !== undefined) {
+		if (indicated.profile === overriddenProfile) {
+			candidate = null;
+			return null;
+		}
+		overriddenProfile = undefined;
+		status.isOverridden = false;
+	}
+
+	if (indicated.profile === current) {
+		candidate = null;
+		return null;
+	}
+
+	if (candidate?.profile !== indicated.profile) {
+		candidate = { ...indicated, since: Date.now() };
+		return null;
+	}
+
+	if (Date.now() - candidate.since < settings.dwell * 1000) {
+		return null;
+	}
+
+	collisionProfiles.current = indicated.profile;
+	lastProfile = indicated.profile;
+	candidate = null;
+	status.current = indicated.profile;
+	return { from: current, to: indicated.profile, reason: indicated.reason };
+}
+
+export function getProfileSwitchingStatus() {
+	return status;
+}
+
+// take a profile change made by someone else (the profile regions) as not made by hand
+export function resetProfileSwitching(collisionProfiles) {
+	lastProfile = collisionProfiles.current;
+	overriddenProfile = undefined;
+	candidate = null;
+}
+
+// returns { profile, reason }, or null when we dont know our speed
+function getIndicatedProfile(settings, current, situation) {
+	if (situation.navigationState === "anchored") {
+		return { profile: "anchor", reason: "anchored" };
+	}
+	if (situation.isAnchorWatchSet) {
+		return { profile: "anchor", reason: "anchor watch set" };
+	}
+	if (situation.sog == null) {
+		return null;
+	}
+
+	const sog = situation.sog * KNOTS_PER_M_PER_S;
+	const harborSpeed =
+		current === "harbor"
+			? settings.harborSpeed + settings.speedMargin
+			: settings.harborSpeed - settings.speedMargin;
+	if (sog < harborSpeed) {
+		return {
+			profile: "harbor",
+			reason: `speed below ${settings.harborSpeed} kn`,
+		};
+	}
+
+	const offshoreSpeed =
+		current === "offshore"
+			? settings.offshoreSpeed - settings.speedMargin
+			: settings.offshoreSpeed + settings.speedMargin;
+	const offshoreDistance =
+		(current === "offshore"
+			? settings.offshoreDistance - settings.distanceMargin
+			: settings.offshoreDistance + settings.distanceMargin) * METERS_PER_NM;
+	const isOffshoreDistance =
+		situation.landDistance == null
+			? current === "offshore"
+			: situation.landDistance > offshoreDistance;
+	if (isOffshoreDistance && sog >= offshoreSpeed) {
+		return {
+			profile: "offshore",
+			reason: `more than ${settings.offshoreDistance} NM from land`,
+		};
+	}
+
+	let reason;
+	if (!isOffshoreDistance) {
+		reason =
+			situation.landDistance == null
+				? "distance to land unknown"
+				: `less than ${settings.offshoreDistance} NM from land`;
+	} else {
+		reason = `speed below ${settings.offshoreSpeed} kn`;
+	}
+	return { profile: "coastal", reason: reason };
+}
@@ -0,0 +1,132 @@
+// cache of static AIS data by mmsi in the plugin data directory
+//
+// class B vessels only send their name and dimensions every few minutes. the static
+// data of every vessel we have seen is kept in staticData.json, so that new targets
+// (and the webapp) know the name, callsign, type, dimensions, and imo of vessels we have
+// met before right away. entries not updated for CACHE_MAX_AGE are dropped.
+//
+// the file is written atomically (see file-utils.mjs). a file that can not be read is
+// kept as staticData.json.invalid, and the cache starts empty.
+
+import fs from "node:fs";
+import path from "node:path";
+import { writeFileAtomically } from "./file-utils.mjs";
+
+const CACHE_FILE = "staticData.json";
+const CACHE_MAX_AGE = 365 * 24 * 3600; // in seconds - 1 year
+
+const STATIC_PROPERTIES = [
+	"name",
+	"callsign",
+	"imo",
+	"typeId",
+	"type",
+	"length",
+	"beam",
+	"fromBow",
+	"fromCenter",
+];
+
+var staticData = {};
+var isChanged = false;
+
+export function loadStaticDataCache(app) {
+	const cachePath = path.join(app.getDataDirPath(), CACHE_FILE);
+	staticData = {};
+	isChanged = false;
+	if (!fs.existsSync(cachePath)) {
+		return;
+	}
+
+	let savedStaticData;
+	try {
+		savedStaticData = JSON.parse(fs.readFileSync(cachePath).toString());
+		if (!isObject(savedStaticData)) {
+			throw new Error("not static data by mmsi");
+		}
+	} catch (err) {
+		// keep the file for a look - otherwise the next save would overwrite it
+		app.error(`Error reading ${CACHE_FILE}:`, err.message);
+		try {
+			fs.renameSync(cachePath, `${cachePath}.invalid`);
+		} catch (err) {
+			app.error(`Error keeping the invalid ${CACHE_FILE}:`, err);
+		}
+		return;
+	}
+
+	for (const [mmsi, entry] of Object.entries(savedStaticData)) {
+		if (
+			isObject(entry) &&
+			Number.isFinite(entry.updated) &&
+			Date.now() - entry.updated <= CACHE_MAX_AGE * 1000
+		) {
+			staticData[mmsi] = entry;
+		}
+	}
+	app.debug(
+		`Loaded static data of ${Object.keys(staticData).length} vessels from`,
+		cachePath,
+	);
+}
+
+// only writes the file when something changed since the last save
+export function saveStaticDataCache(app) {
+	if (!isChanged) {
+		return;
+	}
+	const dataDirPath = app.getDataDirPath();
+	const cachePath = path.join(dataDirPath, CACHE_FILE);
+	try {
+		if (!fs.existsSync(dataDirPath)) {
+			fs.mkdirSync(dataDirPath, { recursive: true });
+		}
+		writeFileAtomically(cachePath, JSON.stringify(staticData));
+		isChanged = false;
+		app.debug("Saved static data to", cachePath);
+	} catch (err) {
+		app.error(`Error writing ${CACHE_FILE}:`, err);
+	}
+}
+
+export function getStaticData() {
+	return staticData;
+}
+
+// remember the static data of the target
+export function updateStaticDataCache(target) {
+	const entry = staticData[target.mmsi] ?? {};
+	let isEntryChanged = false;
+	for (const property of STATIC_PROPERTIES) {
+		if (target[property] != null && target[property] !== entry[property]) {
+			entry[property] = target[property];
+			isEntryChanged = true;
+		}
+	}
+	// keep vessels we still see from expiring - without rewriting the file every update
+	if (entry.updated != null && Date.now() - entry.updated > 24 * 3600 * 1000) {
+		isEntryChanged = true;
+	}
+	if (isEntryChanged) {
+		entry.updated = Date.now();
+		staticData[target.mmsi] = entry;
+		isChanged = true;
+	}
+}
+
+// fill the static data the target has not reported yet
+export function fillFromStaticDataCache(target) {
+	const entry = staticData[target.mmsi];
+	if (!entry) {
+		return;
+	}
+	for (const property of STATIC_PROPERTIES) {
+		if (target[property] == null && entry[property] != null) {
+			target[property] = entry[property];
+		}
+	}
+}
+
+function isObject(value) {
+	return value != null && typeof value === "object" && !Array.isArray(value);
+}
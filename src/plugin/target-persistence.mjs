@@ -0,0 +1,143 @@
+// snapshots of the targets in the plugin data directory
+//
+// targets only live in memory, so a restart would lose the names learned from
+// infrequent class B static reports, the alarm lifecycle and mutes, and the track
+// history. a snapshot of the properties below is saved on a schedule and when the
+// plugin stops, and restored when it starts. derived data (cpa, alarms, ...) is not
+// saved - it is recalculated on the next update. the snapshot is written atomically, and
+// a snapshot that can not be read is kept as targets.json.invalid.
+
+import fs from "node:fs";
+import path from "node:path";
+import { writeFileAtomically } from "./file-utils.mjs";
+
+const SNAPSHOT_FILE = "targets.json";
+
+const STATIC_PROPERTIES = [
+	"mmsi",
+	"context",
+	"name",
+	"callsign",
+	"imo",
+	"typeId",
+	"type",
+	"aisClass",
+	"fromBow",
+	"fromCenter",
+	"length",
+	"beam",
+	"draft",
+	"destination",
+	"status",
+	"isOffPosition",
+	"isVirtual",
+];
+
+const DYNAMIC_PROPERTIES = ["cog", "sog", "hdg", "rot", "magvar"];
+
+const ALARM_PROPERTIES = [
+	"alarmLifecycle",
+	"alarmSilencedUntil",
+	"alarmPriority",
+	"alarmMute",
+	"alarmHysteresis",
+];
+
+const TRACK_PROPERTIES = ["track", "cogSogHistory"];
+
+// our own vessel is not saved - its position is stale by the time we restart
+export function saveTargets(app, targets, selfMmsi) {
+	const snapshot = [];
+	targets.forEach((target, mmsi) => {
+		if (mmsi === selfMmsi || !target.lastSeenDate) {
+			return;
+		}
+		const savedTarget = {};
+		for (const property of [
+			...STATIC_PROPERTIES,
+			...DYNAMIC_PROPERTIES,
+			...ALARM_PROPERTIES,
+			...TRACK_PROPERTIES,
+		]) {
+			if (target[property] != null) {
+				savedTarget[property] = target[property];
+			}
+		}
+		// the last reported position - not the dead reckoned one
+		savedTarget.latitude = target.latitude;
+		savedTarget.longitude = target.longitude;
+		savedTarget.lastSeenDate = target.lastSeenDate.getTime();
+		snapshot.push(savedTarget);
+	});
+
+	const dataDirPath = app.getDataDirPath();
+	const snapshotPath = path.join(dataDirPath, SNAPSHOT_FILE);
+	try {
+		if (!fs.existsSync(dataDirPath)) {
+			fs.mkdirSync(dataDirPath, { recursive: true });
+		}
+		writeFileAtomically(snapshotPath, JSON.stringify(snapshot));
+		app.debug(`Saved ${snapshot.length} targets to`, snapshotPath);
+	} catch (err) {
+		app.error(`Error writing ${SNAPSHOT_FILE}:`, err);
+	}
+}
+
+// restores the saved targets that are not older than maxAge (in seconds), without
+// overwriting targets we already have
+export function loadTargets(app, targets, selfMmsi, maxAge) {
+	const snapshotPath = path.join(app.getDataDirPath(), SNAPSHOT_FILE);
+	if (!fs.existsSync(snapshotPath)) {
+		return;
+	}
+
+	let snapshot;
+	try {
+		snapshot = JSON.parse(fs.readFileSync(snapshotPath).toString());
+		if (!Array.isArray(snapshot)) {
+			throw new Error("not a list of targets");
+		}
+	} catch (err) {
+		// keep the file for a look, and start without the saved targets
+		app.error(`Error reading ${SNAPSHOT_FILE}:`, err.message);
+		try {
+			fs.renameSync(snapshotPath, `${snapshotPath}.invalid`);
+		} catch (err) {
+			app.error(`Error keeping the invalid ${SNAPSHOT_FILE}:`, err);
+		}
+		return;
+	}
+
+	let count = 0;
+	for (const savedTarget of snapshot) {
+		if (
+			!isSavedTarget(savedTarget) ||
+			savedTarget.mmsi === selfMmsi ||
+			targets.has(savedTarget.mmsi) ||
+			Date.now() - savedTarget.lastSeenDate > maxAge * 1000
+		) {
+			continue;
+		}
+		targets.set(savedTarget.mmsi, {
+			...savedTarget,
+			lastSeenDate: new Date(savedTarget.lastSeenDate),
+		});
+		count++;
+	}
+	app.debug(
+		`Restored ${count} of ${snapshot.length} targets from`,
+		snapshotPath,
+	);
+}
+
+// skip anything in the snapshot that could not have been saved by saveTargets
+function isSavedTarget(savedTarget) {
+	return (
+		savedTarget != null &&
+		typeof savedTarget.mmsi === "string" &&
+		savedTarget.mmsi !== "" &&
+		Number.isFinite(savedTarget.lastSeenDate) &&
+		(savedTarget.latitude == null || Number.isFinite(savedTarget.latitude)) &&
+		(savedTarget.longitude == null || Number.isFinite(savedTarget.longitude))
+	);
+}
@@ -9,6 +9,13 @@ const expressApp = express();
 
 import SSE from "express-sse";
 import _ from "lodash";
+import { acknowledgeAlarm } from "../web/assets/scripts/alarm-lifecycle.mjs";
+import {
+	BUILT_IN_PROFILES,
+	isBuiltInProfile,
+	isProfile,
+} from "../web/assets/scripts/collision-profiles.mjs";
+import { validateCollisionProfiles } from "../web/assets/scripts/collision-profiles-schema.mjs";
 
 var sse = new SSE();
 
@@ -405,11 +412,43 @@ function getPreferencesXml() {
                     {2, { "accept.demo_mode", ""}, { "profile.current", ""}}
                 </PrefsRequested>
                 <Pref prefname='accept.demo_mode'>0</Pref>
-                <Pref prefname='profile.current'>${collisionProfiles.current.toUpperCase()}</Pref>
+                <Pref prefname='profile.current'>${getWatchMateProfile().toUpperCase()}</Pref>
             </Prefs>
         </Watchmate>`;
 }
 
+// watchmate only knows the built-in profiles - a user profile is shown as the built-in
+// profile with the closest warning and alarm cpa/tcpa
+function getWatchMateProfile() {
+	const current = collisionProfiles.current;
+	if (isBuiltInProfile(current) || !isProfile(collisionProfiles[current])) {
+		return current;
+	}
+
+	const profile = collisionProfiles[current];
+	// relative difference, 0 when equal and 1 when one of them is 0
+	const difference = (a, b) => (a + b > 0 ? Math.abs(a - b) / (a + b) : 0);
+	let closestProfile = "coastal";
+	let smallestDifference = Infinity;
+	for (const id of BUILT_IN_PROFILES) {
+		const builtInProfile = collisionProfiles[id];
+		let totalDifference = 0;
+		for (const criteria of ["warning", "danger"]) {
+			for (const property of ["cpa", "tcpa"]) {
+				totalDifference += difference(
+					profile[criteria][property],
+					builtInProfile[criteria][property],
+				);
+			}
+		}
+		if (totalDifference < smallestDifference) {
+			closestProfile = id;
+			smallestDifference = totalDifference;
+		}
+	}
+	return closestProfile;
+}
+
 function getAlarmsXml() {
 	var response = `<?xml version = '1.0' encoding = 'ISO-8859-1' ?>
         <Watchmate version='1.0' priority='1'>`;
@@ -508,13 +547,13 @@ function getTargetDetailsXml(mmsi) {
 <HDG>${formatCog(target.hdg)}</HDG>
 <ROT>${formatRot(target.rot)}</ROT>
 <Altitude>-1</Altitude>
-<latitudeText>${formatLat(target.latitude)}</latitudeText>
-<longitudeText>${formatLon(target.longitude)}</longitudeText>
+<latitudeText>${formatLat(target.drLatitude)}</latitudeText>
+<longitudeText>${formatLon(target.drLongitude)}</longitudeText>
 <OffPosition>${target.isOffPosition || "0"}</OffPosition>
 <Virtual>${target.isVirtual || "0"}</Virtual>
 <Dimensions>${
-			target.length && target.width
-				? `${target.length}m x ${target.width}m`
+			target.length && target.beam
+				? `${target.length}m x ${target.beam}m`
 				: "---"
 		}</Dimensions >
 <Draft>${target.draft ? `${target.draft}m` : "---"}</Draft>
@@ -822,8 +861,9 @@ function setupHttpServer() {
 
 	// GET /prefs/setPreferences?profile.current=OFFSHORE
 	expressApp.get("/prefs/setPreferences", (req, res) => {
-		if (req.query["profile.current"]) {
-			collisionProfiles.current = req.query["profile.current"].toLowerCase();
+		const profile = req.query["profile.current"]?.toLowerCase();
+		if (profile && isProfile(collisionProfiles[profile])) {
+			collisionProfiles.current = profile;
 			saveCollisionProfiles();
 			sendXmlResponse(res, getPreferencesXml());
 		} else {
@@ -925,14 +965,38 @@ function setupHttpServer() {
 		//      'content-type': 'application/json'
 		expressApp.put("/v3/watchMate/collisionProfiles", (req, res) => {
 			app.debug("PUT /v3/watchMate/collisionProfiles", req.body);
-			//app.debug("before merge", collisionProfiles);
-			mergePutData(req, collisionProfiles);
-			//app.debug("after merge", collisionProfiles);
+			// watchmate shows the closest built-in profile while a user profile is active.
+			// its edits would change that built-in profile rather than the active one.
+			if (!isBuiltInProfile(collisionProfiles.current)) {
+				const error = `collisionProfiles.current: ${collisionProfiles.current} is not a built-in profile and cannot be edited from WatchMate`;
+				app.error(
+					"ERROR - not saving collision profiles from WatchMate:",
+					error,
+				);
+				res.status(409).json({ errors: [error] });
+				return;
+			}
+			// merge into a copy, so that nothing changes when the result is invalid
+			const mergedCollisionProfiles = structuredClone(collisionProfiles);
+			//app.debug("before merge", mergedCollisionProfiles);
+			mergePutData(req, mergedCollisionProfiles);
+			//app.debug("after merge", mergedCollisionProfiles);
 			// remove "threat" paths that watchmate adds:
-			delete collisionProfiles.anchor.threat;
-			delete collisionProfiles.harbor.threat;
-			delete collisionProfiles.coastal.threat;
-			delete collisionProfiles.offshore.threat;
+			delete mergedCollisionProfiles.anchor.threat;
+			delete mergedCollisionProfiles.harbor.threat;
+			delete mergedCollisionProfiles.coastal.threat;
+			delete mergedCollisionProfiles.offshore.threat;
+			const errors = validateCollisionProfiles(mergedCollisionProfiles);
+			if (errors.length > 0) {
+				app.error(
+					"ERROR - not saving invalid collision profiles from WatchMate:",
+					errors.join("; "),
+				);
+				res.status(400).json({ errors: errors });
+				return;
+			}
+			// keep the reference we share with index.mjs
+			Object.assign(collisionProfiles, mergedCollisionProfiles);
 			saveCollisionProfiles();
 			res.json();
 		});
@@ -1096,8 +1160,7 @@ function setUnderway() {
 function muteAlarms() {
 	for (const target of targets.values()) {
 		if (target.alarmState === "danger") {
-			// FIXME nothing is consuming alarmIsMuted
-			target.alarmIsMuted = true;
+			acknowledgeAlarm(target);
 		}
 	}
 
@@ -1240,6 +1303,11 @@ export function setCollisionProfiles(_collisionProfiles) {
 	collisionProfiles = _collisionProfiles;
 }
 
+// anchor watch set from the WatchMate app
+export function isAnchorWatchSet() {
+	return Number(anchorWatchControl.setAnchor) === 1;
+}
+
 export function start(
 	_app,
 	_collisionProfiles,
@@ -1,9 +1,38 @@
+import { getHysteresis, updateAlarmHysteresis } from "./alarm-hysteresis.mjs";
+import {
+	getAlarmMuteRemaining,
+	updateAlarmLifecycle,
+} from "./alarm-lifecycle.mjs";
+import { updateClosureRates } from "./closure-rates.mjs";
+import {
+	updateCpa,
+	updateHullCpa,
+	updateTurnAwareCpa,
+} from "./closest-approach.mjs";
+import {
+	getAlarmCpa,
+	meetsCollisionCriteria,
+	meetsGuardCriteria,
+} from "./collision-criteria.mjs";
+import { getEncounterDescription, updateEncounter } from "./colreg.mjs";
+import { updateConflictAnalysis } from "./conflict-analysis.mjs";
+import { updateDeadReckoning } from "./dead-reckoning.mjs";
+import {
+	updateCogSogHistory,
+	updateCpaUncertainty,
+} from "./cpa-uncertainty.mjs";
 import { mmsiMidToCountry } from "./mmsi-mid-decoder.mjs";
+import { getRiskScore } from "./risk-scoring.mjs";
+import { getDomainPenetration } from "./ship-domain.mjs";
+import { updateTrack } from "./target-tracker.mjs";
 
 const METERS_PER_NM = 1852;
 const KNOTS_PER_M_PER_S = 1.94384;
 const LOST_TARGET_WARNING_AGE = 10 * 60; // in seconds - 10 minutes
+const MAX_TCPA = 3 * 3600; // in seconds - 3 hours
+const RISK_ORDER_SPAN = 9999; // order range of each alarm state, a risk of 1 sorts to the top of it
 
+// returns the compound encounters (see conflict-analysis.mjs)
 export function updateDerivedData(
 	targets,
 	selfTarget,
@@ -48,6 +77,9 @@ export function updateDerivedData(
 			);
 		}
 	});
+
+	// then look at all targets together
+	return updateConflictAnalysis(targets, selfTarget, collisionProfiles);
 }
 
 export function toRadians(v) {
@@ -64,17 +96,40 @@ function updateSingleTargetDerivedData(
 	collisionProfiles,
 	TARGET_MAX_AGE,
 ) {
-	target.y = target.latitude * 111120;
-	// FIXME this might work better using an average of the latitudes of the target and selfTarget
-	target.x =
-		target.longitude * 111120 * Math.cos(toRadians(selfTarget.latitude));
-	target.vy = target.sog * Math.cos(target.cog); // cog is in radians
-	target.vx = target.sog * Math.sin(target.cog); // cog is in radians
+	// move the target forward from its last reported position
+	updateDeadReckoning(target);
+
+	// smooth the cog/sog of other vessels - our own cog/sog is used as is
+	if (target.mmsi !== selfTarget.mmsi) {
+		updateTrack(target);
+	}
+
+	if (target.mmsi === selfTarget.mmsi) {
+		// own ship is the origin of the local tangent plane used for cpa calcs
+		target.x = 0;
+		target.y = 0;
+		target.vy = target.sog * Math.cos(target.cog); // cog is in radians
+		target.vx = target.sog * Math.sin(target.cog); // cog is in radians
+	} else {
+		updateRelativePositionAndVelocity(selfTarget, target);
+	}
+
+	updateCogSogHistory(target);
 
 	if (target.mmsi !== selfTarget.mmsi) {
 		calculateRangeAndBearing(selfTarget, target);
+		updateClosureRates(selfTarget, target);
 		updateCpa(selfTarget, target);
-		evaluateAlarms(target, collisionProfiles);
+		updateTurnAwareCpa(selfTarget, target);
+		updateHullCpa(selfTarget, target);
+		updateBowCrossing(selfTarget, target);
+		updateCpaUncertainty(
+			selfTarget,
+			target,
+			collisionProfiles[collisionProfiles.current],
+		);
+		updateEncounter(selfTarget, target);
+		evaluateAlarms(target, selfTarget, collisionProfiles);
 	}
 
 	var lastSeen = Math.round((Date.now() - target.lastSeenDate) / 1000);
@@ -90,6 +145,41 @@ function updateSingleTargetDerivedData(
 	target.mmsiCountryName = mmsiMidToCountry.get(mmsiMid)?.name;
 	target.cpaFormatted = formatCpa(target.cpa);
 	target.tcpaFormatted = formatTcpa(target.tcpa);
+	target.turnCpaFormatted = formatCpa(target.turnCpa);
+	target.turnTcpaFormatted = formatTcpa(target.turnTcpa);
+	target.hullCpaFormatted = formatCpa(target.hullCpa);
+	target.hullTcpaFormatted = formatTcpa(target.hullTcpa);
+	target.bcrFormatted =
+		target.bcr != null
+			? `${formatCpa(Math.abs(target.bcr))} ${target.bcr >= 0 ? "ahead" : "astern"}`
+			: "---";
+	target.bctFormatted = formatTcpa(target.bct);
+	target.cpaIntervalFormatted =
+		target.cpaLow != null && target.cpaHigh != null
+			? `${(target.cpaLow / METERS_PER_NM).toFixed(2)} - ${formatCpa(target.cpaHigh)}`
+			: "---";
+	target.dangerProbabilityFormatted =
+		target.dangerProbability != null
+			? `${Math.round(100 * target.dangerProbability)}%`
+			: "---";
+	target.domainPenetrationFormatted = Number.isFinite(target.domainPenetration)
+		? target.domainPenetration.toFixed(2)
+		: "---";
+	target.alarmMuteFormatted = target.alarmMute
+		? formatTcpa(getAlarmMuteRemaining(target))
+		: "---";
+	target.encounterFormatted =
+		getEncounterDescription(target.encounter) ?? "---";
+	target.riskScoreFormatted =
+		target.riskScore != null ? target.riskScore.toFixed(2) : "---";
+	target.rangeRateFormatted =
+		target.rangeRate != null
+			? `${(target.rangeRate * KNOTS_PER_M_PER_S).toFixed(1)} kn`
+			: "---";
+	target.bearingRateFormatted =
+		target.bearingRate != null
+			? `${((target.bearingRate * 180 * 60) / Math.PI).toFixed(1)}°/min${target.isCbdr ? " (CBDR)" : ""}`
+			: "---";
 	target.rangeFormatted =
 		target.range != null
 			? `${(target.range / METERS_PER_NM).toFixed(2)} NM`
@@ -102,6 +192,14 @@ function updateSingleTargetDerivedData(
 			: "---";
 	target.cogFormatted =
 		target.cog != null ? `${Math.round(toDegrees(target.cog))} T` : "---";
+	target.filteredSogFormatted =
+		target.filteredSog != null
+			? `${(target.filteredSog * KNOTS_PER_M_PER_S).toFixed(1)} kn`
+			: "---";
+	target.filteredCogFormatted =
+		target.filteredCog != null
+			? `${Math.round(toDegrees(target.filteredCog))} T`
+			: "---";
 	target.hdgFormatted =
 		target.hdg != null ? `${Math.round(toDegrees(target.hdg))} T` : "---";
 	target.rotFormatted = Math.round(toDegrees(target.rot)) || "---";
@@ -109,8 +207,8 @@ function updateSingleTargetDerivedData(
 		target.aisClass + (target.isVirtual ? " (virtual)" : "");
 	target.sizeFormatted = `${target.length?.toFixed(1) ?? "---"} m x ${target.beam?.toFixed(1) ?? "---"} m`;
 	target.imoFormatted = target.imo?.replace(/imo/i, "") || "---";
-	target.latitudeFormatted = formatLat(target.latitude);
-	target.longitudeFormatted = formatLon(target.longitude);
+	target.latitudeFormatted = `${formatLat(target.drLatitude)}${target.isInterpolated ? " (DR)" : ""}`;
+	target.longitudeFormatted = `${formatLon(target.drLongitude)}${target.isInterpolated ? " (DR)" : ""}`;
 
 	if (
 		!target.latitude ||
@@ -125,7 +223,7 @@ function updateSingleTargetDerivedData(
 }
 
 function calculateRangeAndBearing(selfTarget, target) {
-	if (!selfTarget.isValid || !target.latitude || !target.longitude) {
+	if (!selfTarget.isValid || !target.drLatitude || !target.drLongitude) {
 		target.range = null;
 		target.bearing = null;
 		// console.log('cant calc range bearing', selfTarget, target);
@@ -134,18 +232,18 @@ function calculateRangeAndBearing(selfTarget, target) {
 
 	target.range = Math.round(
 		getDistanceFromLatLonInMeters(
-			selfTarget.latitude,
-			selfTarget.longitude,
-			target.latitude,
-			target.longitude,
+			selfTarget.drLatitude,
+			selfTarget.drLongitude,
+			target.drLatitude,
+			target.drLongitude,
 		),
 	);
 	target.bearing = Math.round(
 		getRhumbLineBearing(
-			selfTarget.latitude,
-			selfTarget.longitude,
-			target.latitude,
-			target.longitude,
+			selfTarget.drLatitude,
+			selfTarget.drLongitude,
+			target.drLatitude,
+			target.drLongitude,
 		),
 	);
 
@@ -154,11 +252,74 @@ function calculateRangeAndBearing(selfTarget, target) {
 	}
 }
 
-// from: http://geomalgorithms.com/a07-_distance.html
-function updateCpa(selfTarget, target) {
+// position (x,y) and velocity (vx,vy) of the target in an east/north tangent plane
+// centered on our own vessel, computed on the WGS84 ellipsoid. the target's velocity
+// is rotated from its own local east/north frame into ours, so that meridian
+// convergence is accounted for with distant targets at high latitudes.
+function updateRelativePositionAndVelocity(selfTarget, target) {
+	if (
+		selfTarget.drLatitude == null ||
+		selfTarget.drLongitude == null ||
+		!target.drLatitude ||
+		!target.drLongitude
+	) {
+		target.x = null;
+		target.y = null;
+		target.vx = null;
+		target.vy = null;
+		return;
+	}
+
+	const selfEcef = geodeticToEcef(
+		selfTarget.drLatitude,
+		selfTarget.drLongitude,
+	);
+	const targetEcef = geodeticToEcef(target.drLatitude, target.drLongitude);
+
+	const position = ecefToEnu(
+		{
+			x: targetEcef.x - selfEcef.x,
+			y: targetEcef.y - selfEcef.y,
+			z: targetEcef.z - selfEcef.z,
+		},
+		selfTarget.drLatitude,
+		selfTarget.drLongitude,
+	);
+
+	// cog is in radians. use the kalman filtered cog/sog when we have them.
+	const sog = target.filteredSog ?? target.sog;
+	const cog = target.filteredCog ?? target.cog;
+	const velocity = ecefToEnu(
+		enuToEcef(
+			{
+				e: sog * Math.sin(cog),
+				n: sog * Math.cos(cog),
+				u: 0,
+			},
+			target.drLatitude,
+			target.drLongitude,
+		),
+		selfTarget.drLatitude,
+		selfTarget.drLongitude,
+	);
+
+	// in meters
+	target.x = position.e;
+	target.y = position.n;
+	// in m/s
+	target.vx = velocity.e;
+	target.vy = velocity.n;
+}
+
+// bow crossing range (target.bcr, in meters) and bow crossing time (target.bct, in
+// seconds) - where and when the target crosses the projected course line of our
+// vessel. bcr is positive when the target crosses ahead of us, and negative when it
+// crosses astern.
+function updateBowCrossing(selfTarget, target) {
+	target.bcr = null;
+	target.bct = null;
+
 	if (
-		selfTarget.x == null ||
-		selfTarget.y == null ||
 		selfTarget.vx == null ||
 		selfTarget.vy == null ||
 		target.x == null ||
@@ -166,80 +327,41 @@ function updateCpa(selfTarget, target) {
 		target.vx == null ||
 		target.vy == null
 	) {
-		//console.log('cant calc cpa: missing data', target.mmsi);
-		target.cpa = null;
-		target.tcpa = null;
 		return;
 	}
 
-	// dv = Tr1.v - Tr2.v
-	// this is relative speed
-	// m/s
-	var dv = {
-		x: target.vx - selfTarget.vx,
-		y: target.vy - selfTarget.vy,
-	};
-
-	// (m/s)^2
-	var dv2 = dot(dv, dv);
-
-	// guard against division by zero
-	// the tracks are almost parallel
-	// or there is almost no relative movement
-	if (dv2 < 0.00000001) {
-		// console.log('cant calc tcpa: ',target.mmsi);
-		target.cpa = null;
-		target.tcpa = null;
+	// unit vector along our course
+	const speed = Math.hypot(selfTarget.vx, selfTarget.vy);
+	if (speed < 0.0001) {
 		return;
 	}
+	const u = { x: selfTarget.vx / speed, y: selfTarget.vy / speed };
 
-	// w0 = Tr1.P0 - Tr2.P0
-	// this is relative position
-	// 111120 m / deg lat
-	// m
-	// FIXME isnt this the same as target.y - selfTarget.y
-	var w0 = {
+	const w0 = {
 		x: target.x - selfTarget.x,
 		y: target.y - selfTarget.y,
-		// x: (target.longitude - selfTarget.longitude) * 111120 * Math.cos(toRadians(selfTarget.latitude)),
-		// y: (target.latitude - selfTarget.latitude) * 111120,
 	};
+	const vt = { x: target.vx, y: target.vy };
 
-	// in secs
-	// m * m/s / (m/s)^2 = m / (m/s) = s
-	var tcpa = -dot(w0, dv) / dv2;
-
-	// if tcpa is in the past,
-	// or if tcpa is more than 3 hours in the future
-	// then dont calc cpa & tcpa
-	if (!tcpa || tcpa < 0 || tcpa > 3 * 3600) {
-		//console.log('discarding tcpa: ', target.mmsi, tcpa);
-		target.cpa = null;
-		target.tcpa = null;
+	// the target crosses our course line when cross(u, w0 + t * (vt - vs)) = 0.
+	// our own velocity is parallel to u, so only the target velocity matters.
+	const crossingSpeed = cross(u, vt);
+	if (Math.abs(crossingSpeed) < 0.0001) {
 		return;
 	}
 
-	// Point P1 = Tr1.P0 + (ctime * Tr1.v);
-	// m
-	var p1 = {
-		x: selfTarget.x + tcpa * selfTarget.vx,
-		y: selfTarget.y + tcpa * selfTarget.vy,
-	};
-
-	// Point P2 = Tr2.P0 + (ctime * Tr2.v);
-	// m
-	var p2 = {
-		x: target.x + tcpa * target.vx,
-		y: target.y + tcpa * target.vy,
-	};
-
-	// in meters
-	var cpa = dist(p1, p2);
+	const bct = -cross(u, w0) / crossingSpeed;
+	if (bct < 0 || bct > MAX_TCPA) {
+		return;
+	}
 
-	// in meters
-	target.cpa = Math.round(cpa);
+	// relative position when the target crosses our course line - in meters
+	target.bcr = Math.round(
+		dot(u, w0) +
+			bct * dot(u, { x: vt.x - selfTarget.vx, y: vt.y - selfTarget.vy }),
+	);
 	// in seconds
-	target.tcpa = Math.round(tcpa);
+	target.bct = Math.round(bct);
 }
 
 // #define dot(u,v) ((u).x * (v).x + (u).y * (v).y + (u).z * (v).z)
@@ -247,70 +369,75 @@ function dot(u, v) {
 	return u.x * v.x + u.y * v.y;
 }
 
-// #define norm(v) sqrt(dot(v,v))
-// norm = length of vector
-function norm(v) {
-	return Math.sqrt(dot(v, v));
-}
-
-// #define d(u,v) norm(u-v)
-// distance = norm of difference
-function dist(u, v) {
-	return norm({
-		x: u.x - v.x,
-		y: u.y - v.y,
-	});
+function cross(u, v) {
+	return u.x * v.y - u.y * v.x;
 }
 
-function evaluateAlarms(target, collisionProfiles) {
+function evaluateAlarms(target, selfTarget, collisionProfiles) {
 	try {
+		const profile = collisionProfiles[collisionProfiles.current];
+		const { cpa, tcpa } = getAlarmCpa(target, profile);
+
 		// guard alarm
-		target.guardAlarm =
-			target.range != null &&
-			target.range <
-				collisionProfiles[collisionProfiles.current].guard.range *
-					METERS_PER_NM &&
-			(collisionProfiles[collisionProfiles.current].guard.speed === 0 ||
-				(target.sog != null &&
-					target.sog >
-						collisionProfiles[collisionProfiles.current].guard.speed /
-							KNOTS_PER_M_PER_S));
+		const guardHysteresis = getHysteresis(collisionProfiles, "guard");
+		target.guardAlarm = updateAlarmHysteresis(
+			target,
+			"guard",
+			guardHysteresis,
+			meetsGuardCriteria(target, profile.guard, 0),
+			meetsGuardCriteria(target, profile.guard, guardHysteresis.margin),
+		);
+
+		// with the ship domain alarm model, the relative track of the target has to
+		// penetrate the domain around our vessel (within the tcpa of the alarm/warning)
+		// rather than come within the cpa
+		const isDomainModel = profile.alarmModel === "domain" && profile.domain;
+		if (isDomainModel) {
+			target.domainPenetration = getDomainPenetration(
+				selfTarget,
+				target,
+				profile.domain,
+				Math.max(profile.danger.tcpa, profile.warning.tcpa),
+			);
+		} else {
+			target.domainPenetration = null;
+		}
+
+		const meetsCriteria = (criteria, margin) =>
+			meetsCollisionCriteria(
+				selfTarget,
+				target,
+				profile,
+				criteria,
+				cpa,
+				tcpa,
+				margin,
+			);
 
 		// collision alarm
-		target.collisionAlarm =
-			target.cpa != null &&
-			target.cpa <
-				collisionProfiles[collisionProfiles.current].danger.cpa *
-					METERS_PER_NM &&
-			target.tcpa != null &&
-			target.tcpa > 0 &&
-			target.tcpa < collisionProfiles[collisionProfiles.current].danger.tcpa &&
-			(collisionProfiles[collisionProfiles.current].danger.speed === 0 ||
-				(target.sog != null &&
-					target.sog >
-						collisionProfiles[collisionProfiles.current].danger.speed /
-							KNOTS_PER_M_PER_S));
+		const dangerHysteresis = getHysteresis(collisionProfiles, "danger");
+		target.collisionAlarm = updateAlarmHysteresis(
+			target,
+			"danger",
+			dangerHysteresis,
+			meetsCriteria(profile.danger, 0),
+			meetsCriteria(profile.danger, dangerHysteresis.margin),
+		);
 
 		// collision warning
-		target.collisionWarning =
-			target.cpa != null &&
-			target.cpa <
-				collisionProfiles[collisionProfiles.current].warning.cpa *
-					METERS_PER_NM &&
-			target.tcpa != null &&
-			target.tcpa > 0 &&
-			target.tcpa < collisionProfiles[collisionProfiles.current].warning.tcpa &&
-			(collisionProfiles[collisionProfiles.current].warning.speed === 0 ||
-				(target.sog != null &&
-					target.sog >
-						collisionProfiles[collisionProfiles.current].warning.speed /
-							KNOTS_PER_M_PER_S));
+		const warningHysteresis = getHysteresis(collisionProfiles, "warning");
+		target.collisionWarning = updateAlarmHysteresis(
+			target,
+			"warning",
+			warningHysteresis,
+			meetsCriteria(profile.warning, 0),
+			meetsCriteria(profile.warning, warningHysteresis.margin),
+		);
 
 		target.sartAlarm = target.mmsi.startsWith("970");
 		target.mobAlarm = target.mmsi.startsWith("972");
 		target.epirbAlarm = target.mmsi.startsWith("974");
 
-		//FIXME - need to clean up this order logic.
 		// targets with alarm status must be at the top
 		// targets with negative tcpa are very low priority
 
@@ -331,7 +458,7 @@ function evaluateAlarms(target, collisionProfiles) {
 			target.order = 20000;
 		}
 		// no alarm/warning - but has positive tcpa (closing)
-		else if (target.tcpa != null && target.tcpa > 0) {
+		else if (tcpa != null && tcpa > 0) {
 			target.alarmState = null;
 			target.order = 30000;
 		}
@@ -341,6 +468,8 @@ function evaluateAlarms(target, collisionProfiles) {
 			target.order = 40000;
 		}
 
+		updateAlarmLifecycle(target);
+
 		const alarms = [];
 
 		if (target.guardAlarm) alarms.push("guard");
@@ -355,39 +484,16 @@ function evaluateAlarms(target, collisionProfiles) {
 			target.alarmType = null;
 		}
 
-		// sort sooner tcpa targets to top
-		if (target.tcpa != null && target.tcpa > 0) {
-			// sort vessels with any tcpa above vessels that dont have a tcpa
-			target.order -= 1000;
-			// tcpa of 0 seconds reduces order by 1000 (this is an arbitrary weighting)
-			// tcpa of 60 minutes reduces order by 0
-			const weight = 1000;
-			target.order -= Math.max(
-				0,
-				Math.round(weight - (weight * target.tcpa) / 3600),
-			);
-		}
-
-		// sort closer cpa targets to top
-		if (target.cpa != null && target.cpa > 0) {
-			// cpa of 0 nm reduces order by 2000 (this is an arbitrary weighting)
-			// cpa of 5 nm reduces order by 0
-			const weight = 2000;
-			target.order -= Math.max(
-				0,
-				Math.round(weight - (weight * target.cpa) / 5 / METERS_PER_NM),
-			);
-		}
-
-		// sort closer targets to top
-		if (target.range != null && target.range > 0) {
-			// range of 0 nm increases order by 0
-			// range of 5 nm increases order by 500
-			target.order += Math.round((100 * target.range) / METERS_PER_NM);
-		}
-
-		// FIXME might be interesting to calculate rate of closure
-		// high positive rate of close decreases order
+		// sort by the risk score of the configured strategy within each alarm state
+		target.riskScore = getRiskScore(
+			collisionProfiles.riskScoring,
+			target,
+			selfTarget,
+			cpa,
+			tcpa,
+			profile,
+		);
+		target.order += Math.round(RISK_ORDER_SPAN * (1 - target.riskScore));
 
 		// sort targets with no range to bottom
 		if (target.range == null) {
@@ -413,6 +519,56 @@ function getDistanceFromLatLonInMeters(lat1, lon1, lat2, lon2) {
 	return d;
 }
 
+// WGS84 ellipsoid
+const WGS84_A = 6378137; // semi-major axis in meters
+const WGS84_F = 1 / 298.257223563; // flattening
+const WGS84_E2 = WGS84_F * (2 - WGS84_F); // first eccentricity squared
+
+// earth centered earth fixed coordinates (in meters) of a point at sea level
+function geodeticToEcef(lat, lon) {
+	const φ = toRadians(lat);
+	const λ = toRadians(lon);
+	const sinφ = Math.sin(φ);
+	const cosφ = Math.cos(φ);
+	// prime vertical radius of curvature
+	const N = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinφ * sinφ);
+	return {
+		x: N * cosφ * Math.cos(λ),
+		y: N * cosφ * Math.sin(λ),
+		z: N * (1 - WGS84_E2) * sinφ,
+	};
+}
+
+// rotate an ecef vector into the east/north/up frame at lat/lon
+function ecefToEnu(v, lat, lon) {
+	const φ = toRadians(lat);
+	const λ = toRadians(lon);
+	const sinφ = Math.sin(φ);
+	const cosφ = Math.cos(φ);
+	const sinλ = Math.sin(λ);
+	const cosλ = Math.cos(λ);
+	return {
+		e: -sinλ * v.x + cosλ * v.y,
+		n: -sinφ * cosλ * v.x - sinφ * sinλ * v.y + cosφ * v.z,
+		u: cosφ * cosλ * v.x + cosφ * sinλ * v.y + sinφ * v.z,
+	};
+}
+
+// rotate an east/north/up vector at lat/lon into the ecef frame
+function enuToEcef(v, lat, lon) {
+	const φ = toRadians(lat);
+	const λ = toRadians(lon);
+	const sinφ = Math.sin(φ);
+	const cosφ = Math.cos(φ);
+	const sinλ = Math.sin(λ);
+	const cosλ = Math.cos(λ);
+	return {
+		x: -sinλ * v.e - sinφ * cosλ * v.n + cosφ * cosλ * v.u,
+		y: cosλ * v.e - sinφ * sinλ * v.n + cosφ * sinλ * v.u,
+		z: cosφ * v.n + sinφ * v.u,
+	};
+}
+
 function getRhumbLineBearing(lat1, lon1, lat2, lon2) {
 	// difference of longitude coords
 	var diffLon = toRadians(lon2 - lon1);
@@ -0,0 +1,63 @@
+// alarm hysteresis
+//
+// a target hovering around a threshold would toggle its alarm on every update. each
+// alarm type (guard, warning, danger) has:
+// margin: the alarm is raised when the target meets the thresholds of the profile, but
+//   only cleared once it no longer meets the thresholds widened by this fraction
+//   (0.1 = cpa, tcpa, and range 10% larger, speed 10% lower)
+// dwell: in seconds - once raised, the alarm stays active for at least this long
+//
+// raising an alarm is never delayed. the settings are in collisionProfiles.hysteresis
+// (shared by all profiles), and the state of each alarm is kept in
+// target.alarmHysteresis. the plugin and the webapp run the same state machine, and the
+// webapp starts from the state of the plugin when it is opened, so they agree on when an
+// alarm starts and ends.
+
+export const DEFAULT_HYSTERESIS = {
+	guard: { margin: 0.1, dwell: 30 },
+	warning: { margin: 0.1, dwell: 30 },
+	danger: { margin: 0.1, dwell: 30 },
+};
+
+export function getHysteresis(collisionProfiles, alarm) {
+	return {
+		...DEFAULT_HYSTERESIS[alarm],
+		...collisionProfiles.hysteresis?.[alarm],
+	};
+}
+
+// isEntered: the target meets the thresholds
+// isHeld: the target meets the thresholds widened by the margin
+// returns whether the alarm is active
+export function updateAlarmHysteresis(
+	target,
+	alarm,
+	hysteresis,
+	isEntered,
+	isHeld,
+) {
+	if (!target.alarmHysteresis) {
+		target.alarmHysteresis = {};
+	}
+	const state = target.alarmHysteresis[alarm];
+	const now = Date.now();
+
+	if (isEntered) {
+		if (!state?.isActive) {
+			target.alarmHysteresis[alarm] = { isActive: true, since: now };
+		}
+		return true;
+	}
+
+	if (
+		state?.isActive &&
+		(isHeld || now - state.since < hysteresis.dwell * 1000)
+	) {
+		return true;
+	}
+
+	if (state?.isActive !== false) {
+		target.alarmHysteresis[alarm] = { isActive: false, since: now };
+	}
+	return false;
+}
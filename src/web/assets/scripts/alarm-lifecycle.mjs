@@ -0,0 +1,163 @@
+// alarm lifecycle, modelled on bridge alert management (IEC 62923 / BAM)
+//
+// target.alarmLifecycle follows the warning/alarm state of the target (alarmState):
+// activeUnacknowledged: the alarm is announced (visual and sound)
+// activeSilenced: the sound is suppressed for SILENCE_DURATION seconds - after that the
+//   alarm is announced again (back to activeUnacknowledged) unless it was acknowledged
+// activeAcknowledged: the operator has acknowledged the alarm - it is still shown, but
+//   not announced again until it clears and is raised again
+// rectifiedUnacknowledged: the alarm cleared before it was acknowledged - it is still
+//   shown until it is acknowledged
+// null: no alarm
+//
+// an alarm that escalates from a warning to a danger is announced again. the plugin and
+// the webapp run the same state machine, and the acknowledge and silence operations of
+// the plugin routes and the webapp call acknowledgeAlarm and silenceAlarm.
+//
+// a target can also be muted (target.alarmMute) - its alarms are not announced at all,
+// whatever their lifecycle. a mute expires after its duration, and clears early once
+// the encounter is over: when the tcpa of the target has passed, or when the target
+// has had a warning/alarm during the mute and no longer has one. an alarm that cleared
+// during the mute is not shown as rectified once the mute clears.
+
+export const SILENCE_DURATION = 30; // in seconds
+export const MUTE_DURATION = 20 * 60; // in seconds
+
+const lifecycleDescriptions = {
+	activeUnacknowledged: "Active",
+	activeSilenced: "Silenced",
+	activeAcknowledged: "Acknowledged",
+	rectifiedUnacknowledged: "Rectified - not acknowledged",
+};
+
+const alarmStatePriorities = {
+	warning: 1,
+	danger: 2,
+};
+
+export function updateAlarmLifecycle(target) {
+	const now = Date.now();
+	const priority = alarmStatePriorities[target.alarmState] ?? 0;
+
+	updateAlarmMute(target, now);
+
+	if (priority > 0) {
+		if (
+			target.alarmLifecycle == null ||
+			target.alarmLifecycle === "rectifiedUnacknowledged" ||
+			priority > (target.alarmPriority ?? 0) ||
+			(target.alarmLifecycle === "activeSilenced" &&
+				now >= target.alarmSilencedUntil)
+		) {
+			setAlarmLifecycle(target, "activeUnacknowledged");
+		}
+		target.alarmPriority = priority;
+	} else if (target.alarmLifecycle === "activeAcknowledged") {
+		setAlarmLifecycle(target, null);
+	} else if (
+		target.alarmLifecycle === "activeUnacknowledged" ||
+		target.alarmLifecycle === "activeSilenced"
+	) {
+		setAlarmLifecycle(target, "rectifiedUnacknowledged");
+	}
+}
+
+// returns false when there is nothing to acknowledge
+export function acknowledgeAlarm(target) {
+	if (
+		target.alarmLifecycle === "activeUnacknowledged" ||
+		target.alarmLifecycle === "activeSilenced"
+	) {
+		setAlarmLifecycle(target, "activeAcknowledged");
+		return true;
+	}
+	if (target.alarmLifecycle === "rectifiedUnacknowledged") {
+		setAlarmLifecycle(target, null);
+		return true;
+	}
+	return false;
+}
+
+// returns false when there is nothing to silence
+export function silenceAlarm(target, duration = SILENCE_DURATION) {
+	if (
+		target.alarmLifecycle === "activeUnacknowledged" ||
+		target.alarmLifecycle === "activeSilenced"
+	) {
+		target.alarmLifecycle = "activeSilenced";
+		target.alarmSilencedUntil = Date.now() + duration * 1000;
+		return true;
+	}
+	return false;
+}
+
+// is the alarm announced with sound?
+export function isAlarmAudible(target) {
+	return target.alarmLifecycle === "activeUnacknowledged" && !target.alarmMute;
+}
+
+// is the alarm announced at all?
+export function isAlarmAnnounced(target) {
+	return (
+		(target.alarmLifecycle === "activeUnacknowledged" ||
+			target.alarmLifecycle === "activeSilenced") &&
+		!target.alarmMute
+	);
+}
+
+export function muteAlarm(target, duration = MUTE_DURATION) {
+	target.alarmMute = {
+		until: Date.now() + duration * 1000,
+		hasAlarmed: target.alarmState != null,
+		hasClosed: target.tcpa != null && target.tcpa > 0,
+	};
+}
+
+export function unmuteAlarm(target) {
+	target.alarmMute = null;
+}
+
+// in seconds, or null when the target is not muted
+export function getAlarmMuteRemaining(target) {
+	if (!target.alarmMute) {
+		return null;
+	}
+	return Math.max(0, Math.round((target.alarmMute.until - Date.now()) / 1000));
+}
+
+export function getAlarmLifecycleDescription(alarmLifecycle) {
+	return lifecycleDescriptions[alarmLifecycle] ?? null;
+}
+
+function updateAlarmMute(target, now) {
+	const mute = target.alarmMute;
+	if (!mute) {
+		return;
+	}
+
+	if (target.alarmState != null) {
+		mute.hasAlarmed = true;
+	}
+	if (target.tcpa != null && target.tcpa > 0) {
+		mute.hasClosed = true;
+	}
+
+	const isEncounterOver =
+		(mute.hasAlarmed && target.alarmState == null) ||
+		(mute.hasClosed && (target.tcpa == null || target.tcpa <= 0));
+	if (now >= mute.until || isEncounterOver) {
+		target.alarmMute = null;
+	}
+	// the alarms of the encounter were never announced - there is nothing to acknowledge
+	if (isEncounterOver && target.alarmState == null) {
+		setAlarmLifecycle(target, null);
+	}
+}
+
+function setAlarmLifecycle(target, alarmLifecycle) {
+	target.alarmLifecycle = alarmLifecycle;
+	target.alarmSilencedUntil = null;
+	if (alarmLifecycle == null) {
+		target.alarmPriority = null;
+	}
+}
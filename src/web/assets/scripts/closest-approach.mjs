@@ -0,0 +1,257 @@
+// closest point of approach
+//
+// the straight line cpa/tcpa (target.cpa, target.tcpa), the turn aware cpa/tcpa
+// (target.turnCpa, target.turnTcpa), and the hull to hull cpa/tcpa (target.hullCpa,
+// target.hullTcpa) - in meters and seconds, from the positions and velocities of the
+// vessels in the local tangent plane of our vessel (x, y, vx, vy).
+
+import { getClosestHullApproach } from "./hull-geometry.mjs";
+
+const MAX_TCPA = 3 * 3600; // in seconds - 3 hours
+const ROT_DECAY_TIME = 120; // in seconds - time constant of the exponential decay of the rate of turn
+const TURN_PREDICTION_TIME_STEP = 5; // in seconds
+const TURN_PREDICTION_DURATION = 5 * ROT_DECAY_TIME; // in seconds - by then less than 1% of the rate of turn remains
+
+// from: http://geomalgorithms.com/a07-_distance.html
+export function updateCpa(selfTarget, target) {
+	if (
+		selfTarget.x == null ||
+		selfTarget.y == null ||
+		selfTarget.vx == null ||
+		selfTarget.vy == null ||
+		target.x == null ||
+		target.y == null ||
+		target.vx == null ||
+		target.vy == null
+	) {
+		//console.log('cant calc cpa: missing data', target.mmsi);
+		target.cpa = null;
+		target.tcpa = null;
+		return;
+	}
+
+	// dv = Tr1.v - Tr2.v
+	// this is relative speed
+	// m/s
+	var dv = {
+		x: target.vx - selfTarget.vx,
+		y: target.vy - selfTarget.vy,
+	};
+
+	// (m/s)^2
+	var dv2 = dot(dv, dv);
+
+	// guard against division by zero
+	// the tracks are almost parallel
+	// or there is almost no relative movement
+	if (dv2 < 0.00000001) {
+		// console.log('cant calc tcpa: ',target.mmsi);
+		target.cpa = null;
+		target.tcpa = null;
+		return;
+	}
+
+	// w0 = Tr1.P0 - Tr2.P0
+	// this is relative position
+	// selfTarget is the origin of the tangent plane, so this is just the target position
+	// m
+	var w0 = {
+		x: target.x - selfTarget.x,
+		y: target.y - selfTarget.y,
+	};
+
+	// in secs
+	// m * m/s / (m/s)^2 = m / (m/s) = s
+	var tcpa = -dot(w0, dv) / dv2;
+
+	// if tcpa is in the past,
+	// or if tcpa is more than 3 hours in the future
+	// then dont calc cpa & tcpa
+	if (!tcpa || tcpa < 0 || tcpa > MAX_TCPA) {
+		//console.log('discarding tcpa: ', target.mmsi, tcpa);
+		target.cpa = null;
+		target.tcpa = null;
+		return;
+	}
+
+	// Point P1 = Tr1.P0 + (ctime * Tr1.v);
+	// m
+	var p1 = {
+		x: selfTarget.x + tcpa * selfTarget.vx,
+		y: selfTarget.y + tcpa * selfTarget.vy,
+	};
+
+	// Point P2 = Tr2.P0 + (ctime * Tr2.v);
+	// m
+	var p2 = {
+		x: target.x + tcpa * target.vx,
+		y: target.y + tcpa * target.vy,
+	};
+
+	// in meters
+	var cpa = dist(p1, p2);
+
+	// in meters
+	target.cpa = Math.round(cpa);
+	// in seconds
+	target.tcpa = Math.round(tcpa);
+}
+
+// cpa and tcpa assuming that both vessels keep turning at their current rate of turn,
+// with the rate of turn decaying exponentially over time. the turning part of the
+// tracks is stepped through numerically and the remainder is treated as straight lines.
+export function updateTurnAwareCpa(selfTarget, target) {
+	// without any rate of turn this is the same as the straight line cpa
+	if (!selfTarget.rot && !target.rot) {
+		target.turnCpa = target.cpa;
+		target.turnTcpa = target.tcpa;
+		return;
+	}
+
+	if (
+		selfTarget.x == null ||
+		selfTarget.y == null ||
+		selfTarget.vx == null ||
+		selfTarget.vy == null ||
+		target.x == null ||
+		target.y == null ||
+		target.vx == null ||
+		target.vy == null
+	) {
+		target.turnCpa = null;
+		target.turnTcpa = null;
+		return;
+	}
+
+	// relative position of the target in m
+	var p = {
+		x: target.x - selfTarget.x,
+		y: target.y - selfTarget.y,
+	};
+	var closest = { distance: norm(p), time: 0 };
+	var dt = TURN_PREDICTION_TIME_STEP;
+	var t;
+
+	for (t = 0; t < TURN_PREDICTION_DURATION; t += dt) {
+		// relative displacement over this step, using the headings at the middle of the step
+		const dv = relativeVelocityWhileTurning(selfTarget, target, t + dt / 2);
+		const d = { x: dv.x * dt, y: dv.y * dt };
+		updateClosestApproachOnSegment(closest, p, d, t, dt);
+		p = { x: p.x + d.x, y: p.y + d.y };
+	}
+
+	// by now the turns are complete - continue on straight lines
+	var dv = relativeVelocityWhileTurning(selfTarget, target, t);
+	var dv2 = dot(dv, dv);
+	if (dv2 >= 0.00000001) {
+		const tail = -dot(p, dv) / dv2;
+		if (tail > 0) {
+			const q = { x: p.x + tail * dv.x, y: p.y + tail * dv.y };
+			if (norm(q) < closest.distance) {
+				closest = { distance: norm(q), time: t + tail };
+			}
+		}
+	}
+
+	// same rules as the straight line cpa: nothing in the past or too far in the future
+	if (closest.time <= 0 || closest.time > MAX_TCPA) {
+		target.turnCpa = null;
+		target.turnTcpa = null;
+		return;
+	}
+
+	// in meters
+	target.turnCpa = Math.round(closest.distance);
+	// in seconds
+	target.turnTcpa = Math.round(closest.time);
+}
+
+// closest distance between the hull outlines rather than between the AIS antennas
+export function updateHullCpa(selfTarget, target) {
+	// only for targets that are closing - same as the straight line cpa
+	if (target.cpa == null) {
+		target.hullCpa = null;
+		target.hullTcpa = null;
+		return;
+	}
+
+	const closest = getClosestHullApproach(selfTarget, target, MAX_TCPA);
+
+	if (!closest) {
+		target.hullCpa = null;
+		target.hullTcpa = null;
+		return;
+	}
+
+	// in meters
+	target.hullCpa = Math.round(closest.distance);
+	// in seconds
+	target.hullTcpa = Math.round(closest.time);
+}
+
+// relative velocity (target minus self) in m/s at time t, after both velocity
+// vectors have been rotated by the heading change accumulated from the rate of turn
+function relativeVelocityWhileTurning(selfTarget, target, t) {
+	const selfV = rotateVector(
+		{ x: selfTarget.vx, y: selfTarget.vy },
+		headingChange(selfTarget.rot, t),
+	);
+	const targetV = rotateVector(
+		{ x: target.vx, y: target.vy },
+		headingChange(target.rot, t),
+	);
+	return {
+		x: targetV.x - selfV.x,
+		y: targetV.y - selfV.y,
+	};
+}
+
+// heading change in radians after t seconds. rot is in radians/s, positive to starboard.
+// integral of rot * e^(-t/T) from 0 to t
+function headingChange(rot, t) {
+	if (!rot) {
+		return 0;
+	}
+	return rot * ROT_DECAY_TIME * (1 - Math.exp(-t / ROT_DECAY_TIME));
+}
+
+// rotate clockwise (to starboard) by angle radians. x is east, y is north.
+function rotateVector(v, angle) {
+	const cos = Math.cos(angle);
+	const sin = Math.sin(angle);
+	return {
+		x: v.x * cos + v.y * sin,
+		y: v.y * cos - v.x * sin,
+	};
+}
+
+// closest approach to the origin while moving from p to p + d between time t and t + dt
+function updateClosestApproachOnSegment(closest, p, d, t, dt) {
+	const d2 = dot(d, d);
+	const s = d2 > 0 ? Math.min(1, Math.max(0, -dot(p, d) / d2)) : 0;
+	const distance = norm({ x: p.x + s * d.x, y: p.y + s * d.y });
+	if (distance < closest.distance) {
+		closest.distance = distance;
+		closest.time = t + s * dt;
+	}
+}
+
+// #define dot(u,v) ((u).x * (v).x + (u).y * (v).y + (u).z * (v).z)
+function dot(u, v) {
+	return u.x * v.x + u.y * v.y;
+}
+
+// #define norm(v) sqrt(dot(v,v))
+// norm = length of vector
+function norm(v) {
+	return Math.sqrt(dot(v, v));
+}
+
+// #define d(u,v) norm(u-v)
+// distance = norm of difference
+function dist(u, v) {
+	return norm({
+		x: u.x - v.x,
+		y: u.y - v.y,
+	});
+}
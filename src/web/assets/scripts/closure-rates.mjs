@@ -0,0 +1,111 @@
+// range rate (rate of closure) and bearing rate from successive updates
+//
+// at each position report of the target (at most every few seconds) we remember its
+// range and bearing at the time of the report, and fit a straight line through the
+// reports of the last minute. the slope of that line is much less jumpy than the
+// difference between two consecutive reports (class B targets in particular only report
+// every 30 seconds or so). the dead reckoned positions between reports add nothing, so
+// they are not sampled.
+//
+// a steady bearing with a decreasing range (CBDR) is the classic seamanship collision
+// indicator - if the bearing does not change, you are on a collision course.
+
+const KNOTS_PER_M_PER_S = 1.94384;
+
+const SAMPLE_INTERVAL = 5; // in seconds
+const SAMPLE_WINDOW = 60; // in seconds - rates are fitted over the last minute
+const MIN_SAMPLE_COUNT = 3;
+const MIN_SAMPLE_SPAN = 15; // in seconds - no rates until the samples cover at least this
+
+const CBDR_MAX_BEARING_RATE = (0.5 * Math.PI) / 180 / 60; // 0.5 degrees per minute
+const CBDR_MIN_CLOSING_SPEED = 0.5 / KNOTS_PER_M_PER_S; // 0.5 knots
+
+// target.rangeRate in m/s (negative when closing), target.bearingRate in radians per
+// second (positive when the bearing moves clockwise), and target.isCbdr
+export function updateClosureRates(selfTarget, target) {
+	const reportTime = target.lastSeenDate?.getTime();
+	if (
+		!reportTime ||
+		target.x == null ||
+		target.y == null ||
+		target.vx == null ||
+		target.vy == null ||
+		selfTarget.vx == null ||
+		selfTarget.vy == null
+	) {
+		target.rangeSamples = [];
+		target.rangeRate = null;
+		target.bearingRate = null;
+		target.isCbdr = false;
+		return;
+	}
+
+	if (!target.rangeSamples) {
+		target.rangeSamples = [];
+	}
+
+	const samples = target.rangeSamples;
+
+	if (
+		samples.length === 0 ||
+		reportTime - samples[samples.length - 1].time >= SAMPLE_INTERVAL * 1000
+	) {
+		// back from the dead reckoned position to the time of the report
+		const age = Math.max(0, (Date.now() - reportTime) / 1000);
+		const x = target.x - age * (target.vx - selfTarget.vx);
+		const y = target.y - age * (target.vy - selfTarget.vy);
+		let bearing = Math.atan2(x, y);
+		// unwrap the bearing so that it does not jump between 359 and 0 degrees
+		if (samples.length > 0) {
+			const previous = samples[samples.length - 1].bearing;
+			bearing += 2 * Math.PI * Math.round((previous - bearing) / (2 * Math.PI));
+		}
+		samples.push({
+			time: reportTime,
+			range: Math.hypot(x, y),
+			bearing: bearing,
+		});
+	}
+
+	while (reportTime - samples[0].time > SAMPLE_WINDOW * 1000) {
+		samples.shift();
+	}
+
+	if (
+		samples.length < MIN_SAMPLE_COUNT ||
+		samples[samples.length - 1].time - samples[0].time < MIN_SAMPLE_SPAN * 1000
+	) {
+		target.rangeRate = null;
+		target.bearingRate = null;
+		target.isCbdr = false;
+		return;
+	}
+
+	target.rangeRate = getSlope(samples, "range");
+	target.bearingRate = getSlope(samples, "bearing");
+	target.isCbdr =
+		target.rangeRate < -CBDR_MIN_CLOSING_SPEED &&
+		Math.abs(target.bearingRate) < CBDR_MAX_BEARING_RATE;
+}
+
+// least squares slope of samples[property] against time - per second
+function getSlope(samples, property) {
+	const t0 = samples[0].time;
+	let sumT = 0;
+	let sumV = 0;
+	for (const sample of samples) {
+		sumT += (sample.time - t0) / 1000;
+		sumV += sample[property];
+	}
+	const meanT = sumT / samples.length;
+	const meanV = sumV / samples.length;
+
+	let sumTT = 0;
+	let sumTV = 0;
+	for (const sample of samples) {
+		const t = (sample.time - t0) / 1000 - meanT;
+		sumTT += t * t;
+		sumTV += t * (sample[property] - meanV);
+	}
+	return sumTT > 0 ? sumTV / sumTT : 0;
+}
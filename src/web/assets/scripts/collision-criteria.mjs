@@ -0,0 +1,73 @@
+// alarm criteria
+//
+// the tests of evaluateAlarms (ais-utils.mjs) for the guard, collision warning, and
+// collision alarm criteria of a profile. the trial manoeuvre solver and the conflict
+// analysis use the same tests for the courses and speeds they try.
+
+import { getDomainPenetration } from "./ship-domain.mjs";
+
+const METERS_PER_NM = 1852;
+const KNOTS_PER_M_PER_S = 1.94384;
+
+// the profile decides whether alarms use the straight line (antenna to antenna), the
+// turn aware, the hull to hull, or the pessimistic (lower bound) cpa - each with the tcpa
+// of the same solution
+export function getAlarmCpa(target, profile) {
+	if (profile.cpaMode === "turn") {
+		return { cpa: target.turnCpa, tcpa: target.turnTcpa };
+	}
+	if (profile.cpaMode === "hull") {
+		return { cpa: target.hullCpa, tcpa: target.hullTcpa };
+	}
+	if (profile.cpaMode === "pessimistic") {
+		return { cpa: target.cpaLow, tcpa: target.tcpaLow };
+	}
+	return { cpa: target.cpa, tcpa: target.tcpa };
+}
+
+// the thresholds are widened by margin (a fraction) - see alarm-hysteresis.mjs
+export function meetsGuardCriteria(target, guard, margin) {
+	return (
+		target.range != null &&
+		target.range < guard.range * METERS_PER_NM * (1 + margin) &&
+		meetsSpeedCriteria(target, guard.speed, margin)
+	);
+}
+
+// criteria is profile.warning or profile.danger
+export function meetsCollisionCriteria(
+	selfTarget,
+	target,
+	profile,
+	criteria,
+	cpa,
+	tcpa,
+	margin,
+) {
+	let meetsCpaCriteria;
+	if (profile.alarmModel === "domain" && profile.domain) {
+		const penetration = getDomainPenetration(
+			selfTarget,
+			target,
+			profile.domain,
+			criteria.tcpa * (1 + margin),
+		);
+		meetsCpaCriteria = penetration != null && penetration < 1 + margin;
+	} else {
+		meetsCpaCriteria =
+			cpa != null &&
+			cpa < criteria.cpa * METERS_PER_NM * (1 + margin) &&
+			tcpa != null &&
+			tcpa > 0 &&
+			tcpa < criteria.tcpa * (1 + margin);
+	}
+	return meetsCpaCriteria && meetsSpeedCriteria(target, criteria.speed, margin);
+}
+
+function meetsSpeedCriteria(target, speed, margin) {
+	return (
+		speed === 0 ||
+		(target.sog != null &&
+			target.sog > speed / KNOTS_PER_M_PER_S / (1 + margin))
+	);
+}
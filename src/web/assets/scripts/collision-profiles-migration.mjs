@@ -0,0 +1,81 @@
+// versions of the collision profiles format, and the migrations between them
+//
+// collisionProfiles.version is the version of the format. profiles without a version are
+// version 1. migrateCollisionProfiles upgrades older profiles step by step - migrations[n]
+// upgrades version n to version n + 1 - so that a file from any older version of the
+// plugin can be loaded. the plugin migrates collisionProfiles.json and its backups when it
+// reads them, and the profiles put to setCollisionProfiles. the webapp migrates the
+// profiles it imports.
+//
+// to change the format: bump COLLISION_PROFILES_VERSION, add the migration from the
+// previous version, and update the schema (collision-profiles-schema.mjs) and
+// defaultCollisionProfiles.json.
+
+import { getProfileIds, isProfile } from "./collision-profiles.mjs";
+
+export const COLLISION_PROFILES_VERSION = 2;
+
+const migrations = {
+	1: migrateFromVersion1,
+};
+
+// returns a migrated copy of the profiles. profiles that are not an object, have a version
+// we dont know, or are from a newer version are returned as they are - validation
+// rejects them.
+export function migrateCollisionProfiles(
+	collisionProfiles,
+	defaultCollisionProfiles,
+) {
+	if (
+		collisionProfiles == null ||
+		typeof collisionProfiles !== "object" ||
+		Array.isArray(collisionProfiles)
+	) {
+		return collisionProfiles;
+	}
+
+	let migrated = structuredClone(collisionProfiles);
+	let version = migrated.version ?? 1;
+	while (version < COLLISION_PROFILES_VERSION && migrations[version]) {
+		migrated = migrations[version](migrated, defaultCollisionProfiles);
+		version++;
+		migrated.version = version;
+	}
+	return migrated;
+}
+
+export function isMigrationNeeded(collisionProfiles) {
+	return (collisionProfiles?.version ?? 1) < COLLISION_PROFILES_VERSION;
+}
+
+// version 1: the four profiles with their warning, danger, and guard criteria - and the
+// settings added before there was a version, as far as they were used. version 2 has
+// all settings: risk scoring, automatic switching, regions, hysteresis, and the cpa mode,
+// alarm model, and ship domain of each profile.
+//
+// the migration only adds the settings that are missing. it never replaces or drops
+// anything - invalid values, missing profiles, and unknown keys are left for validation
+// to reject.
+function migrateFromVersion1(collisionProfiles, defaultCollisionProfiles) {
+	for (const key of ["riskScoring", "autoSwitch", "regions", "hysteresis"]) {
+		if (collisionProfiles[key] === undefined) {
+			collisionProfiles[key] = structuredClone(defaultCollisionProfiles[key]);
+		}
+	}
+
+	for (const id of getProfileIds(collisionProfiles)) {
+		const profile = collisionProfiles[id];
+		if (!isProfile(profile)) {
+			continue;
+		}
+		const defaultProfile =
+			defaultCollisionProfiles[id] ?? defaultCollisionProfiles.coastal;
+		for (const key of ["cpaMode", "alarmModel", "domain"]) {
+			if (profile[key] === undefined) {
+				profile[key] = structuredClone(defaultProfile[key]);
+			}
+		}
+	}
+
+	return collisionProfiles;
+}
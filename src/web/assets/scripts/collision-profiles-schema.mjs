@@ -0,0 +1,258 @@
+// json schema and validation of the collision profiles
+//
+// the plugin validates the collision profiles when it loads collisionProfiles.json, when
+// they are saved with setCollisionProfiles, and when WatchMate changes them through the
+// Vesper emulator. validateCollisionProfiles returns every violation as
+// "path: message" - an empty list when the profiles are valid.
+//
+// the schema uses the subset of json schema (draft 2020-12) that validateSchema below
+// understands: type, enum, minimum, maximum, exclusiveMinimum, minLength, properties,
+// required, additionalProperties, items, prefixItems, minItems, and maxItems. the rules
+// json schema can not express (the active profile exists, warnings are looser than
+// alarms) are checked in validateCollisionProfiles.
+
+import { BUILT_IN_PROFILES, getProfileIds } from "./collision-profiles.mjs";
+import { COLLISION_PROFILES_VERSION } from "./collision-profiles-migration.mjs";
+import { riskScoringStrategies } from "./risk-scoring.mjs";
+
+const CPA = { type: "number", minimum: 0, maximum: 50 }; // in NM
+const TCPA = { type: "number", minimum: 0, maximum: 7200 }; // in seconds
+const SPEED = { type: "number", minimum: 0, maximum: 100 }; // in knots
+const SECONDS = { type: "number", minimum: 0, maximum: 3600 };
+
+const CPA_CRITERIA_SCHEMA = {
+	type: "object",
+	properties: { cpa: CPA, tcpa: TCPA, speed: SPEED },
+	required: ["cpa", "tcpa", "speed"],
+	additionalProperties: false,
+};
+
+const PROFILE_SCHEMA = {
+	type: "object",
+	properties: {
+		name: { type: "string", minLength: 1 },
+		warning: CPA_CRITERIA_SCHEMA,
+		danger: CPA_CRITERIA_SCHEMA,
+		guard: {
+			type: "object",
+			properties: { range: CPA, speed: SPEED },
+			required: ["range", "speed"],
+			additionalProperties: false,
+		},
+		cpaMode: { enum: ["straight", "turn", "hull", "pessimistic"] },
+		alarmModel: { enum: ["cpa", "domain"] },
+		domain: {
+			type: "object",
+			properties: {
+				type: { enum: ["ellipse", "fujii", "coldwell"] },
+				ahead: CPA,
+				astern: CPA,
+				port: CPA,
+				starboard: CPA,
+				scale: { type: "number", exclusiveMinimum: 0, maximum: 10 },
+			},
+			required: ["type"],
+			additionalProperties: false,
+		},
+	},
+	required: ["warning", "danger", "guard"],
+	additionalProperties: false,
+};
+
+const HYSTERESIS_SCHEMA = {
+	type: "object",
+	properties: {
+		margin: { type: "number", minimum: 0, maximum: 1 },
+		dwell: SECONDS,
+	},
+	additionalProperties: false,
+};
+
+export const COLLISION_PROFILES_SCHEMA = {
+	$schema: "https://json-schema.org/draft/2020-12/schema",
+	title: "Collision profiles",
+	type: "object",
+	properties: {
+		// older versions are migrated before they are validated
+		version: { enum: [COLLISION_PROFILES_VERSION] },
+		current: { type: "string", minLength: 1 },
+		riskScoring: { enum: Object.keys(riskScoringStrategies) },
+		autoSwitch: {
+			type: "object",
+			properties: {
+				enabled: { type: "boolean" },
+				harborSpeed: SPEED,
+				offshoreSpeed: SPEED,
+				speedMargin: SPEED,
+				offshoreDistance: CPA,
+				distanceMargin: CPA,
+				dwell: SECONDS,
+			},
+			additionalProperties: false,
+		},
+		regions: {
+			type: "array",
+			items: {
+				type: "object",
+				properties: {
+					name: { type: "string", minLength: 1 },
+					profile: { type: "string", minLength: 1 },
+					polygon: {
+						type: "array",
+						minItems: 3,
+						items: {
+							type: "array",
+							prefixItems: [
+								{ type: "number", minimum: -90, maximum: 90 },
+								{ type: "number", minimum: -180, maximum: 180 },
+							],
+							minItems: 2,
+							maxItems: 2,
+						},
+					},
+				},
+				required: ["name", "profile", "polygon"],
+				additionalProperties: false,
+			},
+		},
+		// set by the plugin while we are in a region - see profile-regions.mjs
+		profileBeforeRegion: { type: "string", minLength: 1 },
+		hysteresis: {
+			type: "object",
+			properties: {
+				guard: HYSTERESIS_SCHEMA,
+				warning: HYSTERESIS_SCHEMA,
+				danger: HYSTERESIS_SCHEMA,
+			},
+			additionalProperties: false,
+		},
+		...Object.fromEntries(BUILT_IN_PROFILES.map((id) => [id, PROFILE_SCHEMA])),
+	},
+	required: ["version", "current", ...BUILT_IN_PROFILES],
+	// everything else is a user profile
+	additionalProperties: PROFILE_SCHEMA,
+};
+
+export function validateCollisionProfiles(collisionProfiles) {
+	const errors = [];
+	validateSchema(
+		collisionProfiles,
+		COLLISION_PROFILES_SCHEMA,
+		"collisionProfiles",
+		errors,
+	);
+	if (getType(collisionProfiles) !== "object") {
+		return errors;
+	}
+
+	// the settings shared by the profiles are in the schema properties too
+	const current = collisionProfiles.current;
+	if (
+		typeof current === "string" &&
+		(!Object.hasOwn(collisionProfiles, current) ||
+			(COLLISION_PROFILES_SCHEMA.properties[current] &&
+				!BUILT_IN_PROFILES.includes(current)))
+	) {
+		errors.push(`collisionProfiles.current: ${current} is not a profile`);
+	}
+
+	// a warning has to come before the alarm - 0 turns a criterion off
+	for (const id of getProfileIds(collisionProfiles)) {
+		const warning = collisionProfiles[id]?.warning;
+		const danger = collisionProfiles[id]?.danger;
+		if (getType(warning) !== "object" || getType(danger) !== "object") {
+			continue;
+		}
+		if (warning.cpa > 0 && danger.cpa > 0 && warning.cpa < danger.cpa) {
+			errors.push(
+				`collisionProfiles.${id}.warning.cpa: must not be smaller than danger.cpa (${danger.cpa})`,
+			);
+		}
+		if (warning.tcpa > 0 && danger.tcpa > 0 && warning.tcpa < danger.tcpa) {
+			errors.push(
+				`collisionProfiles.${id}.warning.tcpa: must not be smaller than danger.tcpa (${danger.tcpa})`,
+			);
+		}
+		if (warning.speed > danger.speed) {
+			errors.push(
+				`collisionProfiles.${id}.warning.speed: must not be larger than danger.speed (${danger.speed})`,
+			);
+		}
+	}
+
+	return errors;
+}
+
+function validateSchema(value, schema, path, errors) {
+	if (schema.enum && !schema.enum.includes(value)) {
+		errors.push(`${path}: must be one of ${schema.enum.join(", ")}`);
+		return;
+	}
+
+	if (schema.type && getType(value) !== schema.type) {
+		errors.push(`${path}: must be ${getArticle(schema.type)} ${schema.type}`);
+		return;
+	}
+
+	if (schema.type === "number") {
+		if (schema.minimum != null && value < schema.minimum) {
+			errors.push(`${path}: must be at least ${schema.minimum}`);
+		}
+		if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) {
+			errors.push(`${path}: must be more than ${schema.exclusiveMinimum}`);
+		}
+		if (schema.maximum != null && value > schema.maximum) {
+			errors.push(`${path}: must be at most ${schema.maximum}`);
+		}
+	} else if (schema.type === "string") {
+		if (schema.minLength != null && value.trim().length < schema.minLength) {
+			errors.push(`${path}: must not be empty`);
+		}
+	} else if (schema.type === "array") {
+		if (schema.minItems != null && value.length < schema.minItems) {
+			errors.push(`${path}: must have at least ${schema.minItems} items`);
+		}
+		if (schema.maxItems != null && value.length > schema.maxItems) {
+			errors.push(`${path}: must have at most ${schema.maxItems} items`);
+		}
+		value.forEach((item, i) => {
+			const itemSchema = schema.prefixItems?.[i] ?? schema.items;
+			if (itemSchema) {
+				validateSchema(item, itemSchema, `${path}[${i}]`, errors);
+			}
+		});
+	} else if (schema.type === "object") {
+		for (const key of schema.required ?? []) {
+			if (value[key] === undefined) {
+				errors.push(`${path}.${key}: is required`);
+			}
+		}
+		for (const [key, propertyValue] of Object.entries(value)) {
+			const propertySchema =
+				schema.properties?.[key] ?? schema.additionalProperties;
+			if (propertySchema === false || propertySchema === undefined) {
+				errors.push(`${path}.${key}: is not allowed`);
+			} else if (propertySchema !== true) {
+				validateSchema(propertyValue, propertySchema, `${path}.${key}`, errors);
+			}
+		}
+	}
+}
+
+// the json schema type of the value
+function getType(value) {
+	if (value === null) {
+		return "null";
+	}
+	if (Array.isArray(value)) {
+		return "array";
+	}
+	if (typeof value === "number") {
+		return Number.isFinite(value) ? "number" : "non-finite number";
+	}
+	return typeof value;
+}
+
+function getArticle(type) {
+	return /^[aeiou]/.test(type) ? "an" : "a";
+}
@@ -0,0 +1,128 @@
+// collision profiles
+//
+// the profiles are the objects in collisionProfiles that have warning, danger, and guard
+// criteria - next to the settings shared by all profiles (current, riskScoring, ...).
+// there are the four built-in profiles (anchor, harbor, coastal, offshore), which can not
+// be renamed or deleted, and the profiles created by the user. a user profile has an id
+// made from its name, and keeps its name in its name property - so it can be renamed
+// without breaking the references to it (current, regions).
+
+export const BUILT_IN_PROFILES = ["anchor", "harbor", "coastal", "offshore"];
+
+const builtInProfileNames = {
+	anchor: "Anchored",
+	harbor: "Harbor",
+	coastal: "Coastal",
+	offshore: "Offshore",
+};
+
+// the keys of collisionProfiles that are not profiles - and can not be profile ids
+const RESERVED_KEYS = [
+	"current",
+	"riskScoring",
+	"autoSwitch",
+	"regions",
+	"hysteresis",
+	"profileBeforeRegion",
+	"version",
+];
+
+export function isProfile(profile) {
+	return (
+		profile != null &&
+		typeof profile === "object" &&
+		profile.warning != null &&
+		profile.danger != null &&
+		profile.guard != null
+	);
+}
+
+export function isBuiltInProfile(id) {
+	return BUILT_IN_PROFILES.includes(id);
+}
+
+// the built-in profiles first, then the user profiles in the order they were created
+export function getProfileIds(collisionProfiles) {
+	return [
+		...BUILT_IN_PROFILES,
+		...Object.keys(collisionProfiles).filter(
+			(key) =>
+				!isBuiltInProfile(key) &&
+				!RESERVED_KEYS.includes(key) &&
+				isProfile(collisionProfiles[key]),
+		),
+	];
+}
+
+export function getProfileName(collisionProfiles, id) {
+	return collisionProfiles[id]?.name ?? builtInProfileNames[id] ?? id;
+}
+
+// adds a copy of the profile under the name. returns the id of the new profile, or null
+// when the name is not a string, is empty, or the profile is not a profile.
+export function createProfile(collisionProfiles, name, profile) {
+	name = typeof name === "string" ? name.trim() : "";
+	if (!name || !isProfile(profile)) {
+		return null;
+	}
+	const id = getNewProfileId(collisionProfiles, name);
+	collisionProfiles[id] = { ...structuredClone(profile), name: name };
+	return id;
+}
+
+// returns false when the profile is a built-in profile, does not exist, or the name is
+// not a string or empty
+export function renameProfile(collisionProfiles, id, name) {
+	name = typeof name === "string" ? name.trim() : "";
+	if (
+		!name ||
+		isBuiltInProfile(id) ||
+		RESERVED_KEYS.includes(id) ||
+		!isProfile(collisionProfiles[id])
+	) {
+		return false;
+	}
+	collisionProfiles[id].name = name;
+	return true;
+}
+
+// returns false when the profile is a built-in profile or does not exist. when the deleted
+// profile was active, the coastal profile takes over. the regions with the deleted
+// profile are kept, but no longer switch the profile.
+export function deleteProfile(collisionProfiles, id) {
+	if (
+		isBuiltInProfile(id) ||
+		RESERVED_KEYS.includes(id) ||
+		!isProfile(collisionProfiles[id])
+	) {
+		return false;
+	}
+	delete collisionProfiles[id];
+	if (collisionProfiles.current === id) {
+		collisionProfiles.current = "coastal";
+	}
+	return true;
+}
+
+// "Night Coastal" -> nightCoastal, nightCoastal2, ...
+function getNewProfileId(collisionProfiles, name) {
+	const words = name
+		.toLowerCase()
+		.split(/[^a-z0-9]+/)
+		.filter((word) => word);
+	const baseId =
+		words
+			.map((word, i) =>
+				i === 0 ? word : word[0].toUpperCase() + word.slice(1),
+			)
+			.join("") || "profile";
+	let id = baseId;
+	for (
+		let i = 2;
+		collisionProfiles[id] != null || RESERVED_KEYS.includes(id);
+		i++
+	) {
+		id = `${baseId}${i}`;
+	}
+	return id;
+}
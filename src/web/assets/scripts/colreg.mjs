@@ -0,0 +1,85 @@
+// COLREG encounter classification (rules 13 - 15)
+//
+// the encounter is classified from the relative bearing of the target (measured from
+// our bow) and its aspect (the relative bearing of our vessel measured from the bow of
+// the target). both vessels have to be underway and closing - otherwise there is no
+// encounter to classify.
+
+const KNOTS_PER_M_PER_S = 1.94384;
+
+const ABAFT_THE_BEAM = 112.5; // in degrees - 22.5 degrees abaft the beam (rule 13)
+const HEAD_ON_SECTOR = 6; // in degrees - reciprocal or nearly reciprocal courses (rule 14)
+const MIN_SPEED = 0.5 / KNOTS_PER_M_PER_S; // vessels slower than 0.5 knots are not considered underway
+
+const encounterDescriptions = {
+	headOn: "Head-on – alter to starboard",
+	crossingGiveWay: "Crossing – you are give-way",
+	crossingStandOn: "Crossing – you are stand-on",
+	overtaking: "Overtaking – you are give-way",
+	overtaken: "Being overtaken – you are stand-on",
+};
+
+// target.encounter: "headOn", "crossingGiveWay", "crossingStandOn", "overtaking",
+// "overtaken", or null
+export function updateEncounter(selfTarget, target) {
+	target.encounter = getEncounter(selfTarget, target);
+}
+
+export function getEncounterDescription(encounter) {
+	return encounterDescriptions[encounter] ?? null;
+}
+
+function getEncounter(selfTarget, target) {
+	const selfHeading = selfTarget.hdg ?? selfTarget.cog;
+	const targetHeading = target.hdg ?? target.cog;
+
+	if (
+		target.x == null ||
+		target.y == null ||
+		selfHeading == null ||
+		targetHeading == null ||
+		!(selfTarget.sog > MIN_SPEED) ||
+		!(target.sog > MIN_SPEED) ||
+		target.tcpa == null ||
+		target.tcpa <= 0
+	) {
+		return null;
+	}
+
+	// true bearing from our vessel to the target, in degrees
+	const bearing = (Math.atan2(target.x, target.y) * 180) / Math.PI;
+
+	// relative bearing of the target from our bow, and our relative bearing from the
+	// bow of the target - both normalized to -180..180, positive to starboard
+	const relativeBearing = normalizeAngle(
+		bearing - (selfHeading * 180) / Math.PI,
+	);
+	const aspect = normalizeAngle(
+		bearing + 180 - (targetHeading * 180) / Math.PI,
+	);
+
+	// we are coming up from more than 22.5 degrees abaft the beam of the target
+	if (Math.abs(aspect) > ABAFT_THE_BEAM) {
+		return "overtaking";
+	}
+
+	// the target is coming up from more than 22.5 degrees abaft our beam
+	if (Math.abs(relativeBearing) > ABAFT_THE_BEAM) {
+		return "overtaken";
+	}
+
+	// the target is ahead, and we are ahead of the target
+	if (
+		Math.abs(relativeBearing) < HEAD_ON_SECTOR &&
+		Math.abs(aspect) < HEAD_ON_SECTOR
+	) {
+		return "headOn";
+	}
+
+	// the vessel which has the other on her own starboard side shall keep out of the way
+	return relativeBearing > 0 ? "crossingGiveWay" : "crossingStandOn";
+}
+
+function normalizeAngle(angle) {
+	return ((((angle + 180) % 360) + 360) % 360) - 180;
+}
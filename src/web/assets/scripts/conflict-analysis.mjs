@@ -0,0 +1,138 @@
+// multi target conflict analysis
+//
+// evaluateAlarms looks at one target at a time, so it cannot tell that turning away from
+// one target puts us into the path of another. this pass runs after all targets have
+// been updated and looks at them together. targets that meet the collision warning or
+// alarm criteria, with closest approaches within CLUSTER_TIME_WINDOW of each other, form
+// a cluster - and a cluster of two or more targets is a compound encounter.
+//
+// for each standard manoeuvre (altering course to starboard or to port, or slowing
+// down) we check which targets would meet the collision alarm criteria after the
+// manoeuvre (see trial-manoeuvre.mjs). those targets block the manoeuvre.
+//
+// targets in a compound encounter get target.isCompoundEncounter, "compound" added to
+// target.alarmType, and target.conflict - the compound encounter they are part of.
+
+import { getCandidateTargets, isDanger } from "./trial-manoeuvre.mjs";
+
+const CLUSTER_TIME_WINDOW = 10 * 60; // in seconds
+const COURSE_ALTERATION = 30; // in degrees - large enough to be readily apparent (rule 8)
+const SPEED_REDUCTION = 0.5; // slowing down to half our speed
+
+const manoeuvreDescriptions = {
+	starboard: `${COURSE_ALTERATION}° to starboard`,
+	port: `${COURSE_ALTERATION}° to port`,
+	slowDown: "slowing down",
+};
+
+// returns a list of the compound encounters, each an object with:
+// targets: mmsi's of the targets in the cluster, ordered by tcpa
+// blocked: { starboard, port, slowDown } - mmsi's of the targets that block each
+// manoeuvre (an empty list when the manoeuvre is clear), or null when our course and
+// speed are unknown
+export function updateConflictAnalysis(targets, selfTarget, collisionProfiles) {
+	const relevantTargets = [];
+	targets.forEach((target) => {
+		target.conflict = null;
+		target.isCompoundEncounter = false;
+		if (
+			target.mmsi !== selfTarget.mmsi &&
+			target.isValid &&
+			!target.isLost &&
+			(target.collisionAlarm || target.collisionWarning) &&
+			target.tcpa != null &&
+			target.tcpa > 0
+		) {
+			relevantTargets.push(target);
+		}
+	});
+
+	relevantTargets.sort((a, b) => a.tcpa - b.tcpa);
+
+	// chain targets whose closest approaches are close together in time
+	const clusters = [];
+	let cluster = [];
+	for (const target of relevantTargets) {
+		if (
+			cluster.length > 0 &&
+			target.tcpa - cluster[cluster.length - 1].tcpa > CLUSTER_TIME_WINDOW
+		) {
+			clusters.push(cluster);
+			cluster = [];
+		}
+		cluster.push(target);
+	}
+	clusters.push(cluster);
+
+	const compoundClusters = clusters.filter((cluster) => cluster.length > 1);
+	if (compoundClusters.length === 0) {
+		return [];
+	}
+
+	// the manoeuvres are checked against all targets, so they are the same for every cluster
+	const blocked = getBlockedManoeuvres(
+		targets,
+		selfTarget,
+		collisionProfiles[collisionProfiles.current],
+	);
+
+	return compoundClusters.map((cluster) => {
+		const conflict = {
+			targets: cluster.map((target) => target.mmsi),
+			blocked: blocked,
+		};
+		for (const target of cluster) {
+			target.conflict = conflict;
+			target.isCompoundEncounter = true;
+			target.alarmType = `${target.alarmType},compound`;
+		}
+		return conflict;
+	});
+}
+
+// e.g. "Compound encounter with 3 targets - 30° to starboard, slowing down blocked"
+export function getConflictDescription(conflict) {
+	if (!conflict) {
+		return null;
+	}
+	let description = `Compound encounter with ${conflict.targets.length} targets`;
+	if (conflict.blocked) {
+		const blockedManoeuvres = Object.keys(manoeuvreDescriptions).filter(
+			(manoeuvre) => conflict.blocked[manoeuvre].length > 0,
+		);
+		if (blockedManoeuvres.length > 0) {
+			description += ` - ${blockedManoeuvres
+				.map((manoeuvre) => manoeuvreDescriptions[manoeuvre])
+				.join(", ")} blocked`;
+		}
+	}
+	return description;
+}
+
+export function getManoeuvreDescription(manoeuvre) {
+	return manoeuvreDescriptions[manoeuvre] ?? null;
+}
+
+function getBlockedManoeuvres(targets, selfTarget, profile) {
+	if (selfTarget.cog == null || selfTarget.sog == null) {
+		return null;
+	}
+
+	const candidateTargets = getCandidateTargets(targets, selfTarget, profile);
+	const alteration = (COURSE_ALTERATION * Math.PI) / 180;
+	const manoeuvres = {
+		starboard: { cog: selfTarget.cog + alteration, sog: selfTarget.sog },
+		port: { cog: selfTarget.cog - alteration, sog: selfTarget.sog },
+		slowDown: { cog: selfTarget.cog, sog: selfTarget.sog * SPEED_REDUCTION },
+	};
+
+	const blocked = {};
+	for (const [manoeuvre, velocity] of Object.entries(manoeuvres)) {
+		const vx = velocity.sog * Math.sin(velocity.cog);
+		const vy = velocity.sog * Math.cos(velocity.cog);
+		blocked[manoeuvre] = candidateTargets
+			.filter((target) => isDanger(target, selfTarget, vx, vy, profile))
+			.map((target) => target.mmsi);
+	}
+	return blocked;
+}
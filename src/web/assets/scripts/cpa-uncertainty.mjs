@@ -0,0 +1,195 @@
+// cpa uncertainty from cog/sog noise
+//
+// the recent cog/sog reports of each vessel give us an estimate of how noisy its
+// cog/sog is. we sample the cog/sog of both vessels over that spread (a gauss-hermite
+// grid, so that the result is deterministic and does not flap from one update to
+// the next) and compute the straight line cpa for every sample. that gives us a cpa
+// confidence interval and the probability of violating the danger criteria.
+
+const METERS_PER_NM = 1852;
+const KNOTS_PER_M_PER_S = 1.94384;
+
+const MAX_TCPA = 3 * 3600; // in seconds - 3 hours
+const HISTORY_LENGTH = 10; // number of recent cog/sog reports used to estimate the spread
+const HISTORY_MAX_AGE = 5 * 60; // in seconds - ignore reports older than 5 minutes
+const MIN_HISTORY_LENGTH = 3; // with fewer reports than this we use default spreads
+
+// spreads used until we have enough reports, and lower limits for the spreads
+const DEFAULT_COG_STDDEV = (5 * Math.PI) / 180; // 5 degrees
+const DEFAULT_SOG_STDDEV = 0.5 / KNOTS_PER_M_PER_S; // 0.5 knots
+const MIN_COG_STDDEV = (0.5 * Math.PI) / 180; // 0.5 degrees
+const MIN_SOG_STDDEV = 0.05 / KNOTS_PER_M_PER_S; // 0.05 knots
+const MAX_COG_STDDEV = Math.PI / 2; // 90 degrees
+
+// lower and upper bounds of the cpa confidence interval
+const LOWER_PERCENTILE = 0.05;
+const UPPER_PERCENTILE = 0.95;
+
+// 5 point gauss-hermite quadrature for a standard normal distribution
+const NODES = [-2.856970014, -1.35562618, 0, 1.35562618, 2.856970014];
+const WEIGHTS = [
+	0.011257411, 0.222075922, 0.533333333, 0.222075922, 0.011257411,
+];
+
+// remember the cog/sog of each new position report
+export function updateCogSogHistory(target) {
+	const time = target.lastSeenDate?.getTime();
+	if (!time || target.cog == null || target.sog == null) {
+		return;
+	}
+
+	if (!target.cogSogHistory) {
+		target.cogSogHistory = [];
+	}
+
+	const history = target.cogSogHistory;
+	if (history.length > 0 && history[history.length - 1].time === time) {
+		return;
+	}
+
+	history.push({ cog: target.cog, sog: target.sog, time: time });
+
+	while (
+		history.length > HISTORY_LENGTH ||
+		(history.length > 0 && time - history[0].time > HISTORY_MAX_AGE * 1000)
+	) {
+		history.shift();
+	}
+}
+
+// standard deviations of cog (radians) and sog (m/s) from the recent reports
+export function getCogSogSpread(target) {
+	const history = target.cogSogHistory;
+
+	if (!history || history.length < MIN_HISTORY_LENGTH) {
+		return { cog: DEFAULT_COG_STDDEV, sog: DEFAULT_SOG_STDDEV };
+	}
+
+	// circular standard deviation for cog
+	let sumSin = 0;
+	let sumCos = 0;
+	let sumSog = 0;
+	for (const sample of history) {
+		sumSin += Math.sin(sample.cog);
+		sumCos += Math.cos(sample.cog);
+		sumSog += sample.sog;
+	}
+	const r = Math.hypot(sumSin, sumCos) / history.length;
+	const cogStdDev = r > 0 ? Math.sqrt(-2 * Math.log(r)) : MAX_COG_STDDEV;
+
+	const meanSog = sumSog / history.length;
+	let sumSquares = 0;
+	for (const sample of history) {
+		sumSquares += (sample.sog - meanSog) ** 2;
+	}
+	const sogStdDev = Math.sqrt(sumSquares / (history.length - 1));
+
+	return {
+		cog: Math.min(MAX_COG_STDDEV, Math.max(MIN_COG_STDDEV, cogStdDev)),
+		sog: Math.max(MIN_SOG_STDDEV, sogStdDev),
+	};
+}
+
+// cpa confidence interval (target.cpaLow, target.cpaHigh - in meters), the tcpa of the
+// lower bound (target.tcpaLow - in seconds), and the probability (0-1) that the cpa/tcpa
+// meet the danger criteria of the profile
+export function updateCpaUncertainty(selfTarget, target, profile) {
+	if (
+		selfTarget.vx == null ||
+		selfTarget.vy == null ||
+		target.x == null ||
+		target.y == null ||
+		target.vx == null ||
+		target.vy == null
+	) {
+		target.cpaLow = null;
+		target.tcpaLow = null;
+		target.cpaHigh = null;
+		target.dangerProbability = null;
+		return;
+	}
+
+	const selfSamples = getVelocitySamples(selfTarget);
+	const targetSamples = getVelocitySamples(target);
+	const p = { x: target.x - selfTarget.x, y: target.y - selfTarget.y };
+
+	const dangerCpa = profile.danger.cpa * METERS_PER_NM;
+	const dangerTcpa = profile.danger.tcpa;
+	const isFastEnough =
+		profile.danger.speed === 0 ||
+		(target.sog != null &&
+			target.sog > profile.danger.speed / KNOTS_PER_M_PER_S);
+
+	const samples = [];
+	let dangerProbability = 0;
+
+	for (const s of selfSamples) {
+		for (const t of targetSamples) {
+			const dv = { x: t.vx - s.vx, y: t.vy - s.vy };
+			const dv2 = dv.x * dv.x + dv.y * dv.y;
+			// closest approach, limited to between now and 3 hours from now
+			const tcpa =
+				dv2 < 0.00000001
+					? 0
+					: Math.min(MAX_TCPA, Math.max(0, -(p.x * dv.x + p.y * dv.y) / dv2));
+			const cpa = Math.hypot(p.x + tcpa * dv.x, p.y + tcpa * dv.y);
+			const weight = s.weight * t.weight;
+
+			samples.push({ cpa: cpa, tcpa: tcpa, weight: weight });
+
+			if (isFastEnough && cpa < dangerCpa && tcpa > 0 && tcpa < dangerTcpa) {
+				dangerProbability += weight;
+			}
+		}
+	}
+
+	samples.sort((a, b) => a.cpa - b.cpa);
+
+	// the cpa and tcpa of the lower bound come from the same sample
+	const lowerBound = weightedPercentile(samples, LOWER_PERCENTILE);
+	target.cpaLow = Math.round(lowerBound.cpa);
+	target.tcpaLow = Math.round(lowerBound.tcpa);
+	target.cpaHigh = Math.round(
+		weightedPercentile(samples, UPPER_PERCENTILE).cpa,
+	);
+	target.dangerProbability = Math.min(1, dangerProbability);
+}
+
+// velocity samples (in the tangent plane of our vessel) over the cog/sog spread of the vessel
+function getVelocitySamples(target) {
+	const spread = getCogSogSpread(target);
+	const sog = target.sog || 0;
+	// heading of the velocity vector in our tangent plane (this includes meridian convergence)
+	const heading = sog > 0 ? Math.atan2(target.vx, target.vy) : target.cog || 0;
+
+	const samples = [];
+	for (let i = 0; i < NODES.length; i++) {
+		for (let j = 0; j < NODES.length; j++) {
+			const cog = heading + NODES[i] * spread.cog;
+			const speed = Math.max(0, sog + NODES[j] * spread.sog);
+			samples.push({
+				vx: speed * Math.sin(cog),
+				vy: speed * Math.cos(cog),
+				weight: WEIGHTS[i] * WEIGHTS[j],
+			});
+		}
+	}
+	return samples;
+}
+
+// returns the sample - samples must be sorted by cpa
+function weightedPercentile(samples, percentile) {
+	let totalWeight = 0;
+	for (const sample of samples) {
+		totalWeight += sample.weight;
+	}
+
+	let cumulativeWeight = 0;
+	for (const sample of samples) {
+		cumulativeWeight += sample.weight;
+		if (cumulativeWeight >= percentile * totalWeight) {
+			return sample;
+		}
+	}
+	return samples[samples.length - 1];
+}
@@ -0,0 +1,63 @@
+// dead reckoning of target positions between AIS reports
+//
+// class B targets may only report every 30 seconds to 3 minutes. rather than using the
+// last reported position as if it were current, we move each target forward from its
+// last report (lastSeenDate) using sog/cog (kalman filtered when available), and rot
+// when present (decaying the same way as the turn aware cpa).
+//
+// the dead reckoned position is target.drLatitude/drLongitude - the position used for
+// range, bearing, cpa, and the map. target.latitude/longitude stay the last reported
+// position, as do cog/sog/rot.
+
+const EARTH_RADIUS = 6371000; // in meters
+const ROT_DECAY_TIME = 120; // in seconds - time constant of the exponential decay of the rate of turn
+const TIME_STEP = 5; // in seconds
+const MAX_DEAD_RECKONING_TIME = 5 * 60; // in seconds - dont project stale positions any further than this
+const MIN_SOG = 0.1 / 1.94384; // 0.1 knots - dont move targets that are just gps jitter
+const INTERPOLATED_AGE = 10; // in seconds - positions dead reckoned for longer than this are flagged
+
+export function updateDeadReckoning(target) {
+	if (target.latitude == null || target.longitude == null) {
+		target.drLatitude = null;
+		target.drLongitude = null;
+		target.isInterpolated = false;
+		return;
+	}
+
+	const age = Math.min(
+		MAX_DEAD_RECKONING_TIME,
+		Math.max(0, (Date.now() - target.lastSeenDate) / 1000),
+	);
+
+	let latitude = target.latitude;
+	let longitude = target.longitude;
+	const sog = target.filteredSog ?? target.sog;
+	const course = target.filteredCog ?? target.cog;
+
+	if (age > 0 && sog != null && sog > MIN_SOG && course != null) {
+		const rot = target.rot || 0;
+		for (let t = 0; t < age; t += TIME_STEP) {
+			const dt = Math.min(TIME_STEP, age - t);
+			// course in the middle of this step
+			const cog = course + headingChange(rot, t + dt / 2);
+			const distance = sog * dt;
+			latitude += ((distance * Math.cos(cog)) / EARTH_RADIUS) * (180 / Math.PI);
+			longitude +=
+				((distance * Math.sin(cog)) /
+					(EARTH_RADIUS * Math.cos((latitude * Math.PI) / 180))) *
+				(180 / Math.PI);
+		}
+		longitude = ((longitude + 540) % 360) - 180;
+	}
+
+	target.drLatitude = latitude;
+	target.drLongitude = longitude;
+	target.isInterpolated =
+		age > INTERPOLATED_AGE &&
+		(latitude !== target.latitude || longitude !== target.longitude);
+}
+
+// heading change (radians) after t seconds when the rate of turn decays exponentially
+function headingChange(rot, t) {
+	return rot * ROT_DECAY_TIME * (1 - Math.exp(-t / ROT_DECAY_TIME));
+}
@@ -0,0 +1,179 @@
+// hull outlines and hull-to-hull closest approach
+//
+// hulls are simple pentagons (a rectangle with a pointed bow) built from the AIS
+// dimensions: design.length, design.beam, and the position of the AIS antenna
+// (sensors.ais.fromBow and sensors.ais.fromCenter, fromCenter positive to starboard) - or
+// of the gps antenna (sensors.gps) for our own vessel, whose position comes from the gps.
+// vessels without dimensions are treated as a single point at the antenna.
+
+const BOW_LENGTH_TO_LENGTH = 0.15; // portion of the hull length used for the pointed bow
+const SEARCH_ITERATIONS = 100;
+
+// closest approach between the hull outlines of selfTarget and target, assuming that
+// both keep their current course and speed. returns { distance, time } in meters and
+// seconds, or null when there is no closest approach within maxTime seconds.
+//
+// the distance between two convex shapes moving linearly relative to each other is
+// a convex function of time, so a ternary search finds the minimum.
+export function getClosestHullApproach(selfTarget, target, maxTime) {
+	if (
+		selfTarget.x == null ||
+		selfTarget.y == null ||
+		selfTarget.vx == null ||
+		selfTarget.vy == null ||
+		target.x == null ||
+		target.y == null ||
+		target.vx == null ||
+		target.vy == null
+	) {
+		return null;
+	}
+
+	const selfHull = getHullOutline(selfTarget);
+	const targetHull = getHullOutline(target);
+
+	// relative position and velocity of the target
+	const p = { x: target.x - selfTarget.x, y: target.y - selfTarget.y };
+	const dv = { x: target.vx - selfTarget.vx, y: target.vy - selfTarget.vy };
+
+	const distanceAt = (t) =>
+		polygonDistance(
+			selfHull,
+			targetHull.map((v) => ({
+				x: v.x + p.x + t * dv.x,
+				y: v.y + p.y + t * dv.y,
+			})),
+		);
+
+	let lo = 0;
+	let hi = maxTime;
+	for (let i = 0; i < SEARCH_ITERATIONS; i++) {
+		const t1 = lo + (hi - lo) / 3;
+		const t2 = hi - (hi - lo) / 3;
+		if (distanceAt(t1) <= distanceAt(t2)) {
+			hi = t2;
+		} else {
+			lo = t1;
+		}
+	}
+
+	const time = (lo + hi) / 2;
+	return { distance: distanceAt(time), time: time };
+}
+
+// hull outline as a list of {x: east, y: north} vertices in meters, relative to
+// the AIS antenna, oriented by heading (or cog when there is no heading)
+export function getHullOutline(target) {
+	const length = target.length;
+	const beam = target.beam;
+
+	if (!length || !beam) {
+		return [{ x: 0, y: 0 }];
+	}
+
+	// without antenna offsets, assume the antenna is in the middle of the vessel
+	const fromBow = target.fromBow ?? length / 2;
+	const fromCenter = target.fromCenter ?? 0;
+
+	// vessel frame: forward and starboard, relative to the antenna
+	const bow = fromBow;
+	const shoulder = fromBow - length * BOW_LENGTH_TO_LENGTH;
+	const stern = fromBow - length;
+	const port = -beam / 2 - fromCenter;
+	const starboard = beam / 2 - fromCenter;
+	const centerline = -fromCenter;
+
+	const outline = [
+		{ forward: bow, starboard: centerline },
+		{ forward: shoulder, starboard: starboard },
+		{ forward: stern, starboard: starboard },
+		{ forward: stern, starboard: port },
+		{ forward: shoulder, starboard: port },
+	];
+
+	const heading = target.hdg ?? target.cog ?? 0; // in radians
+	const sin = Math.sin(heading);
+	const cos = Math.cos(heading);
+
+	return outline.map((v) => ({
+		x: v.forward * sin + v.starboard * cos,
+		y: v.forward * cos - v.starboard * sin,
+	}));
+}
+
+// distance between two convex polygons. zero when they overlap.
+function polygonDistance(a, b) {
+	if (polygonsIntersect(a, b)) {
+		return 0;
+	}
+
+	let distance = Infinity;
+	for (const v of a) {
+		distance = Math.min(distance, pointToPolygonEdgesDistance(v, b));
+	}
+	for (const v of b) {
+		distance = Math.min(distance, pointToPolygonEdgesDistance(v, a));
+	}
+	return distance;
+}
+
+function pointToPolygonEdgesDistance(p, polygon) {
+	if (polygon.length === 1) {
+		return Math.hypot(p.x - polygon[0].x, p.y - polygon[0].y);
+	}
+
+	let distance = Infinity;
+	for (let i = 0; i < polygon.length; i++) {
+		const a = polygon[i];
+		const b = polygon[(i + 1) % polygon.length];
+		distance = Math.min(distance, pointToSegmentDistance(p, a, b));
+	}
+	return distance;
+}
+
+function pointToSegmentDistance(p, a, b) {
+	const dx = b.x - a.x;
+	const dy = b.y - a.y;
+	const d2 = dx * dx + dy * dy;
+	const s =
+		d2 > 0
+			? Math.min(1, Math.max(0, ((p.x - a.x) * dx + (p.y - a.y) * dy) / d2))
+			: 0;
+	return Math.hypot(p.x - (a.x + s * dx), p.y - (a.y + s * dy));
+}
+
+// separating axis test for convex polygons
+function polygonsIntersect(a, b) {
+	if (a.length === 1 && b.length === 1) {
+		return a[0].x === b[0].x && a[0].y === b[0].y;
+	}
+
+	for (const polygon of [a, b]) {
+		if (polygon.length === 1) {
+			continue;
+		}
+		for (let i = 0; i < polygon.length; i++) {
+			const p1 = polygon[i];
+			const p2 = polygon[(i + 1) % polygon.length];
+			const axis = { x: p1.y - p2.y, y: p2.x - p1.x };
+			const [minA, maxA] = project(a, axis);
+			const [minB, maxB] = project(b, axis);
+			if (maxA < minB || maxB < minA) {
+				return false;
+			}
+		}
+	}
+
+	return true;
+}
+
+function project(polygon, axis) {
+	let min = Infinity;
+	let max = -Infinity;
+	for (const v of polygon) {
+		const d = v.x * axis.x + v.y * axis.y;
+		min = Math.min(min, d);
+		max = Math.max(max, d);
+	}
+	return [min, max];
+}
@@ -3,7 +3,9 @@
 
 const DEFAULT_MAP_ZOOM = 14; // 14 gives us 2+ NM
 const METERS_PER_NM = 1852;
+const KNOTS_PER_M_PER_S = 1.94384;
 const COURSE_PROJECTION_MINUTES = 10;
+const INTERPOLATED_TARGET_OPACITY = 0.5;
 const AGE_OUT_OLD_TARGETS = true;
 const TARGET_MAX_AGE = 30 * 60; // max age in seconds - 30 minutes
 const SHOW_ALARMS_INTERVAL = 60 * 1000; // show alarms every 60 seconds
@@ -21,10 +23,34 @@ import hornMp3Url from "../horn.mp3";
 import pmtilesUrl from "../ne_10m_land.pmtiles?url&no-inline";
 import * as aisIons from "./ais-icons.mjs";
 import { toDegrees, toRadians, updateDerivedData } from "./ais-utils.mjs";
+import {
+	acknowledgeAlarm,
+	getAlarmLifecycleDescription,
+	isAlarmAnnounced,
+	isAlarmAudible,
+	muteAlarm,
+	silenceAlarm,
+	unmuteAlarm,
+} from "./alarm-lifecycle.mjs";
+import { getHysteresis } from "./alarm-hysteresis.mjs";
+import { migrateCollisionProfiles } from "./collision-profiles-migration.mjs";
+import { validateCollisionProfiles } from "./collision-profiles-schema.mjs";
+import {
+	createProfile,
+	deleteProfile,
+	getProfileIds,
+	getProfileName,
+	isBuiltInProfile,
+	renameProfile,
+} from "./collision-profiles.mjs";
+import { getManoeuvreDescription } from "./conflict-analysis.mjs";
+import { DEFAULT_RISK_SCORING } from "./risk-scoring.mjs";
+import { getShipDomainOutline } from "./ship-domain.mjs";
 import * as targetSvgs from "./ship-icons.mjs";
 
 var noSleep = new NoSleep();
 var collisionProfiles;
+var savedCollisionProfiles; // what the plugin has - we go back to these when saving fails
 var selfMmsi;
 var selfTarget;
 var offsetLatitude = 0;
@@ -32,10 +58,30 @@ var offsetLongitude = 0;
 var disableMoveend = false;
 var disableMapPanTo = false;
 var targets = new Map();
+var conflicts = []; // compound encounters
 var pluginTargets;
+var staticData; // static data of vessels the plugin has seen before, by mmsi
 var boatMarkers = new Map();
 var boatProjectedCourseLines = new Map();
 var rangeRings = L.layerGroup();
+var shipDomain = L.polygon([], {
+	color: "orange",
+	weight: 1,
+	opacity: 0.8,
+	fillOpacity: 0.1,
+	dashArray: "6 4",
+	interactive: false,
+});
+var profileRegions = L.layerGroup(); // the regions of collisionProfiles.regions
+var profileRegionDraft; // [[latitude, longitude], ...] while a new profile region is being drawn
+var profileRegionDraftOutline = L.polygon([], {
+	color: "purple",
+	weight: 2,
+	opacity: 0.8,
+	fillOpacity: 0.1,
+	dashArray: "6 4",
+	interactive: false,
+});
 var selectedVesselMmsi;
 var blueBoxIcon;
 var blueCircle1;
@@ -44,6 +90,12 @@ var validTargetCount;
 var filteredTargetCount;
 var alarmTargetCount;
 var lastAlarmTime;
+var alarmRequestId = 0; // a trial manoeuvre response is only shown for the latest alarm modal
+var trialManoeuvre; // { cog, sog } in radians and m/s while the trial manoeuvre planner is open
+var trialTargets; // copy of targets with derived data recalculated for the trial manoeuvre
+var trialManoeuvreHandle;
+var isTrialManoeuvreUpdatePending = false;
+var isTrialManoeuvreHandleDragging = false;
 // var tooltipList;
 var sortTableBy = "priority";
 
@@ -60,6 +112,9 @@ const bsOffcanvasSettings = new bootstrap.Offcanvas("#offcanvasSettings");
 const bsOffcanvasEditProfiles = new bootstrap.Offcanvas(
 	"#offcanvasEditProfiles",
 );
+const bsOffcanvasProfileRegions = new bootstrap.Offcanvas(
+	"#offcanvasProfileRegions",
+);
 const bsOffcanvasTargetList = new bootstrap.Offcanvas("#offcanvasTargetList");
 
 // load collisionProfiles
@@ -75,9 +130,15 @@ if (!collisionProfiles.current) {
 	collisionProfiles = structuredClone(defaultCollisionProfiles);
 	saveCollisionProfiles();
 }
+savedCollisionProfiles = structuredClone(collisionProfiles);
 
+updateProfileSelects();
 document.getElementById("selectActiveProfile").value =
 	collisionProfiles.current;
+document.getElementById("selectRiskScoring").value =
+	collisionProfiles.riskScoring ?? DEFAULT_RISK_SCORING;
+document.getElementById("checkAutoSwitch").checked =
+	collisionProfiles.autoSwitch?.enabled ?? false;
 document.getElementById("checkNoSleep").checked =
 	localStorage.getItem("checkNoSleep") === "true";
 configureNoSleep();
@@ -94,6 +155,10 @@ var data = await getHttpResponse("/signalk/v1/api/vessels/self", {
 selfMmsi = data.mmsi;
 
 pluginTargets = await getHttpResponse(`/plugins/${PLUGIN_ID}/getTargets`);
+staticData = await getHttpResponse(`/plugins/${PLUGIN_ID}/getStaticData`, {
+	throwErrors: false,
+	ignore404: true,
+});
 
 const map = L.map("map", {
 	zoom: DEFAULT_MAP_ZOOM,
@@ -103,7 +168,7 @@ const map = L.map("map", {
 
 L.easyButton("bi bi-cursor-fill", (_btn, map) => {
 	if (selfTarget.isValid) {
-		map.panTo([selfTarget.latitude, selfTarget.longitude]);
+		map.panTo([selfTarget.drLatitude, selfTarget.drLongitude]);
 		offsetLatitude = 0;
 		offsetLongitude = 0;
 	}
@@ -242,6 +307,25 @@ blueLayerGroup.addLayer(blueBoxIcon);
 blueLayerGroup.addLayer(blueCircle1);
 blueLayerGroup.addLayer(blueCircle2);
 
+// drag this handle at the end of our projected course line to try a new course and speed
+trialManoeuvreHandle = L.marker([], {
+	icon: L.divIcon({
+		className: "trialManoeuvreHandle",
+		html: '<i class="bi bi-record-circle-fill"></i>',
+		iconSize: [24, 24],
+	}),
+	draggable: true,
+	zIndexOffset: 2000,
+});
+
+trialManoeuvreHandle.on("dragstart", () => {
+	isTrialManoeuvreHandleDragging = true;
+});
+trialManoeuvreHandle.on("drag", handleTrialManoeuvreHandleDrag);
+trialManoeuvreHandle.on("dragend", () => {
+	isTrialManoeuvreHandleDragging = false;
+});
+
 // setup vessel label collision avoidance
 var hideLabel = (label) => {
 	label.labelObject.style.opacity = 0;
@@ -275,6 +359,21 @@ document
 		saveCollisionProfiles();
 	});
 
+document.getElementById("selectRiskScoring").addEventListener("input", (ev) => {
+	collisionProfiles.riskScoring = ev.target.value;
+	saveCollisionProfiles();
+});
+
+document.getElementById("checkAutoSwitch").addEventListener("input", (ev) => {
+	collisionProfiles.autoSwitch = {
+		...defaultCollisionProfiles.autoSwitch,
+		...collisionProfiles.autoSwitch,
+		enabled: ev.target.checked,
+	};
+	saveCollisionProfiles();
+	profileSwitchingStatus.textContent = "";
+});
+
 document.getElementById("selectTableSort").addEventListener("input", (ev) => {
 	sortTableBy = ev.target.value;
 });
@@ -286,6 +385,87 @@ document.getElementById("buttonEditProfiles").addEventListener("click", () => {
 	bsOffcanvasEditProfiles.show();
 });
 
+document
+	.getElementById("buttonProfileRegions")
+	.addEventListener("click", () => {
+		bsOffcanvasSettings.hide();
+		updateProfileRegionList();
+		bsOffcanvasProfileRegions.show();
+	});
+
+document
+	.getElementById("listProfileRegions")
+	.addEventListener("click", handleListOfProfileRegionsClick);
+
+document
+	.getElementById("buttonDrawProfileRegion")
+	.addEventListener("click", () => {
+		bsOffcanvasProfileRegions.hide();
+		startProfileRegionDraft();
+	});
+
+document
+	.getElementById("buttonProfileRegionUndo")
+	.addEventListener("click", () => {
+		profileRegionDraft.pop();
+		drawProfileRegionDraft();
+	});
+
+document
+	.getElementById("buttonProfileRegionCancel")
+	.addEventListener("click", stopProfileRegionDraft);
+
+document
+	.getElementById("buttonProfileRegionSave")
+	.addEventListener("click", saveProfileRegionDraft);
+
+document
+	.getElementById("buttonExportProfiles")
+	.addEventListener("click", exportCollisionProfiles);
+
+document
+	.getElementById("buttonImportProfiles")
+	.addEventListener("click", () => {
+		inputImportProfiles.click();
+	});
+
+document
+	.getElementById("inputImportProfiles")
+	.addEventListener("change", async (ev) => {
+		const file = ev.target.files[0];
+		ev.target.value = "";
+		if (file) {
+			await importCollisionProfiles(file);
+		}
+	});
+
+document
+	.getElementById("buttonTrialManoeuvre")
+	.addEventListener("click", () => {
+		bsOffcanvasSettings.hide();
+		startTrialManoeuvre();
+	});
+
+document
+	.getElementById("buttonTrialManoeuvreReset")
+	.addEventListener("click", () => {
+		trialManoeuvre = { cog: selfTarget.cog || 0, sog: selfTarget.sog || 0 };
+		updateTrialManoeuvre();
+		updateUI();
+	});
+
+document
+	.getElementById("buttonTrialManoeuvreClose")
+	.addEventListener("click", stopTrialManoeuvre);
+
+document
+	.getElementById("inputTrialCourse")
+	.addEventListener("input", handleTrialManoeuvreInput);
+
+document
+	.getElementById("inputTrialSpeed")
+	.addEventListener("input", handleTrialManoeuvreInput);
+
 document.getElementById("checkNoSleep").addEventListener("change", () => {
 	configureNoSleep();
 });
@@ -323,18 +503,84 @@ document
 document
 	.getElementById("buttonRestoreDefaults")
 	.addEventListener("click", () => {
-		collisionProfiles = structuredClone(defaultCollisionProfiles);
+		// the user profiles and the regions are kept
+		const userProfiles = {};
+		for (const id of getProfileIds(collisionProfiles)) {
+			if (!isBuiltInProfile(id)) {
+				userProfiles[id] = collisionProfiles[id];
+			}
+		}
+		collisionProfiles = {
+			...structuredClone(defaultCollisionProfiles),
+			...userProfiles,
+			regions: collisionProfiles.regions ?? [],
+		};
+		selectRiskScoring.value = collisionProfiles.riskScoring;
+		checkAutoSwitch.checked = collisionProfiles.autoSwitch.enabled;
+		updateProfileSelects();
 		setupProfileEditView(selectProfileToEdit.value);
 		saveCollisionProfiles();
 	});
 
+configProfileName.addEventListener("change", (ev) => {
+	if (
+		renameProfile(collisionProfiles, selectProfileToEdit.value, ev.target.value)
+	) {
+		updateProfileSelects();
+		drawProfileRegions();
+	}
+	ev.target.value = getProfileName(
+		collisionProfiles,
+		selectProfileToEdit.value,
+	);
+});
+
+document.getElementById("buttonNewProfile").addEventListener("click", () => {
+	editNewProfile(
+		createProfile(
+			collisionProfiles,
+			"New Profile",
+			defaultCollisionProfiles.coastal,
+		),
+	);
+});
+
+document.getElementById("buttonCloneProfile").addEventListener("click", () => {
+	const profile = selectProfileToEdit.value;
+	editNewProfile(
+		createProfile(
+			collisionProfiles,
+			`${getProfileName(collisionProfiles, profile)} Copy`,
+			collisionProfiles[profile],
+		),
+	);
+});
+
+document.getElementById("buttonDeleteProfile").addEventListener("click", () => {
+	if (deleteProfile(collisionProfiles, selectProfileToEdit.value)) {
+		updateProfileSelects();
+		selectProfileToEdit.value = collisionProfiles.current;
+		setupProfileEditView(selectProfileToEdit.value);
+		drawProfileRegions();
+	}
+});
+
 document
-	.getElementById("buttonMuteAllAlarms")
-	.addEventListener("click", muteAllAlarms);
+	.getElementById("buttonAcknowledgeAllAlarms")
+	.addEventListener("click", acknowledgeAllAlarms);
 document
-	.getElementById("buttonMuteAllAlarms2")
-	.addEventListener("click", muteAllAlarms);
+	.getElementById("buttonAcknowledgeAllAlarms2")
+	.addEventListener("click", acknowledgeAllAlarms);
+document
+	.getElementById("buttonSilenceAllAlarms")
+	.addEventListener("click", silenceAllAlarms);
 
+document
+	.getElementById("buttonAcknowledgeAlarm")
+	.addEventListener("click", handleButtonAcknowledgeAlarm);
+document
+	.getElementById("buttonSilenceAlarm")
+	.addEventListener("click", handleButtonSilenceAlarm);
 document
 	.getElementById("buttonMuteToggle")
 	.addEventListener("click", handleButtonMuteToggle);
@@ -345,6 +591,11 @@ offcanvasEditProfiles.addEventListener("hide.bs.offcanvas", () => {
 	saveCollisionProfiles();
 });
 
+// drop a trial manoeuvre response that arrives after modalAlarm was closed
+modalAlarm.addEventListener("hidden.bs.modal", () => {
+	alarmRequestId++;
+});
+
 // show modalSelectedVesselProperties when modalClosebyBoats is closed
 modalClosebyBoats.addEventListener("hidden.bs.modal", () => {
 	var boatMarker = boatMarkers.get(selectedVesselMmsi);
@@ -352,6 +603,65 @@ modalClosebyBoats.addEventListener("hidden.bs.modal", () => {
 	showModalSelectVesselProperties(targets.get(selectedVesselMmsi));
 });
 
+configCpaMode.addEventListener("input", (ev) => {
+	collisionProfiles[selectProfileToEdit.value].cpaMode = ev.target.value;
+});
+
+configAlarmModel.addEventListener("input", (ev) => {
+	collisionProfiles[selectProfileToEdit.value].alarmModel = ev.target.value;
+});
+
+configDomainType.addEventListener("input", (ev) => {
+	getProfileDomain(selectProfileToEdit.value).type = ev.target.value;
+});
+
+for (const input of [
+	configDomainAhead,
+	configDomainAstern,
+	configDomainPort,
+	configDomainStarboard,
+	configDomainScale,
+]) {
+	input.addEventListener("input", (ev) => {
+		const value = getClampedInputValue(ev.target);
+		if (value != null) {
+			getProfileDomain(selectProfileToEdit.value)[
+				ev.target.dataset.domainProperty
+			] = value;
+		}
+	});
+	input.addEventListener("change", showClampedInputValue);
+}
+
+for (const input of [
+	configHysteresisWarningMargin,
+	configHysteresisWarningDwell,
+	configHysteresisDangerMargin,
+	configHysteresisDangerDwell,
+	configHysteresisGuardMargin,
+	configHysteresisGuardDwell,
+]) {
+	input.addEventListener("input", (ev) => {
+		const { hysteresisAlarm, hysteresisProperty } = ev.target.dataset;
+		let value = getClampedInputValue(ev.target);
+		if (value == null) {
+			return;
+		}
+		// margins are shown in percent
+		if (hysteresisProperty === "margin") {
+			value = value / 100;
+		}
+		if (!collisionProfiles.hysteresis) {
+			collisionProfiles.hysteresis = {};
+		}
+		collisionProfiles.hysteresis[hysteresisAlarm] = {
+			...getHysteresis(collisionProfiles, hysteresisAlarm),
+			[hysteresisProperty]: value,
+		};
+	});
+	input.addEventListener("change", showClampedInputValue);
+}
+
 configWarningCpaRange.addEventListener("input", processDistanceRangeControl);
 configWarningTcpaRange.addEventListener("input", processTcpaRangeControl);
 configWarningSogRange.addEventListener("input", processSpeedRangeControl);
@@ -377,8 +687,8 @@ map.on("moveend", () => {
 	// if the map was panned, store the offsets from selfTarget
 	if (selfTarget.isValid) {
 		const mapCenter = map.getCenter();
-		offsetLatitude = mapCenter.lat - selfTarget.latitude;
-		offsetLongitude = mapCenter.lng - selfTarget.longitude;
+		offsetLatitude = mapCenter.lat - selfTarget.drLatitude;
+		offsetLongitude = mapCenter.lng - selfTarget.drLongitude;
 	}
 });
 
@@ -444,11 +754,104 @@ function handleOverlayRemove() {
 
 // initialize profile edit screen on startup
 setupProfileEditView("anchor");
+drawProfileRegions();
 
 refresh();
 setInterval(refresh, 1000);
 
+// profiles saved before ship domains existed dont have a domain
+function getProfileDomain(profile) {
+	if (!collisionProfiles[profile].domain) {
+		collisionProfiles[profile].domain = structuredClone(
+			(defaultCollisionProfiles[profile] ?? defaultCollisionProfiles.coastal)
+				.domain,
+		);
+	}
+	return collisionProfiles[profile].domain;
+}
+
+// the value of a number input within its min and max - the profile schema rejects
+// anything outside. null while the input is empty.
+function getClampedInputValue(input) {
+	let value = Number(input.value);
+	if (input.value === "" || Number.isNaN(value)) {
+		return null;
+	}
+	if (input.min !== "") {
+		value = Math.max(value, Number(input.min));
+	}
+	if (input.max !== "") {
+		value = Math.min(value, Number(input.max));
+	}
+	return value;
+}
+
+// when the input is done, show the value that was stored
+function showClampedInputValue(ev) {
+	const value = getClampedInputValue(ev.target);
+	if (value != null) {
+		ev.target.value = value;
+	}
+}
+
+// the profile lists follow the profiles - built-in and user profiles
+function updateProfileSelects() {
+	for (const select of [
+		selectActiveProfile,
+		selectProfileToEdit,
+		selectProfileRegionProfile,
+	]) {
+		const value = select.value;
+		select.innerHTML = "";
+		for (const id of getProfileIds(collisionProfiles)) {
+			const option = document.createElement("option");
+			option.value = id;
+			option.appendChild(
+				document.createTextNode(getProfileName(collisionProfiles, id)),
+			);
+			select.appendChild(option);
+		}
+		select.value = getProfileIds(collisionProfiles).includes(value)
+			? value
+			: collisionProfiles.current;
+	}
+}
+
+function editNewProfile(profile) {
+	updateProfileSelects();
+	selectProfileToEdit.value = profile;
+	setupProfileEditView(profile);
+	configProfileName.select();
+}
+
 function setupProfileEditView(profile) {
+	// the built-in profiles can not be renamed or deleted
+	configProfileName.value = getProfileName(collisionProfiles, profile);
+	configProfileName.disabled = isBuiltInProfile(profile);
+	buttonDeleteProfile.disabled = isBuiltInProfile(profile);
+
+	configCpaMode.value = collisionProfiles[profile].cpaMode ?? "straight";
+
+	const domain = getProfileDomain(profile);
+	configAlarmModel.value = collisionProfiles[profile].alarmModel ?? "cpa";
+	configDomainType.value = domain.type;
+	configDomainAhead.value = domain.ahead;
+	configDomainAstern.value = domain.astern;
+	configDomainPort.value = domain.port;
+	configDomainStarboard.value = domain.starboard;
+	configDomainScale.value = domain.scale;
+
+	// hysteresis is shared by all profiles
+	for (const alarm of ["warning", "danger", "guard"]) {
+		const hysteresis = getHysteresis(collisionProfiles, alarm);
+		const name = `${alarm[0].toUpperCase()}${alarm.slice(1)}`;
+		document.getElementById(`configHysteresis${name}Margin`).value = Math.round(
+			hysteresis.margin * 100,
+		);
+		document.getElementById(`configHysteresis${name}Dwell`).value =
+			hysteresis.dwell;
+	}
+
 	configWarningCpaRange.value = distanceToTick(
 		collisionProfiles[profile].warning.cpa,
 	);
@@ -490,27 +893,107 @@ function setupProfileEditView(profile) {
 	configGuardSogRange.dispatchEvent(inputEvent);
 }
 
+// returns false when the profiles were not saved. we then go back to the profiles that
+// were saved last, so that we dont show profiles that the plugin does not use.
 async function saveCollisionProfiles() {
 	console.log("*** save collisionProfiles to server", collisionProfiles);
 
+	// check the profiles the same way the plugin does, before sending them
+	const errors = validateCollisionProfiles(collisionProfiles);
+	if (errors.length > 0) {
+		showError(
+			`The collision profiles were not saved:<br><br>${errors.join("<br>")}`,
+		);
+		revertCollisionProfiles();
+		return false;
+	}
+
 	// /plugins/${PLUGIN_ID}/setCollisionProfiles
-	var response = await fetch(`/plugins/${PLUGIN_ID}/setCollisionProfiles`, {
-		credentials: "include",
-		method: "PUT",
-		body: JSON.stringify(collisionProfiles),
-		headers: {
-			"Content-Type": "application/json",
-		},
-	});
+	let response;
+	try {
+		response = await fetch(`/plugins/${PLUGIN_ID}/setCollisionProfiles`, {
+			credentials: "include",
+			method: "PUT",
+			body: JSON.stringify(collisionProfiles),
+			headers: {
+				"Content-Type": "application/json",
+			},
+		});
+	} catch (error) {
+		console.error("Error saving collisionProfiles", error);
+		revertCollisionProfiles();
+		return false;
+	}
 	if (response.status === 401) {
 		location.href = "/admin/#/login";
 	}
+	// the plugin lists what is wrong with the profiles
+	if (response.status === 400) {
+		const { errors } = await response.json();
+		showError(
+			`The collision profiles were not saved:<br><br>${errors.join("<br>")}`,
+		);
+	}
 	if (!response.ok) {
-		throw new Error(
+		console.error(
 			`Error saving collisionProfiles. Response status: ${response.status} from ${response.url}`,
 		);
+		revertCollisionProfiles();
+		return false;
 	}
+	savedCollisionProfiles = structuredClone(collisionProfiles);
 	console.log("successfully saved config", collisionProfiles);
+	return true;
+}
+
+function revertCollisionProfiles() {
+	collisionProfiles = structuredClone(savedCollisionProfiles);
+	showCollisionProfiles();
+}
+
+function showCollisionProfiles() {
+	selectRiskScoring.value =
+		collisionProfiles.riskScoring ?? DEFAULT_RISK_SCORING;
+	checkAutoSwitch.checked = collisionProfiles.autoSwitch?.enabled ?? false;
+	updateProfileSelects();
+	selectActiveProfile.value = collisionProfiles.current;
+	setupProfileEditView(selectProfileToEdit.value);
+	drawProfileRegions();
+	updateProfileRegionList();
+}
+
+function exportCollisionProfiles() {
+	const blob = new Blob([JSON.stringify(collisionProfiles, null, 2)], {
+		type: "application/json",
+	});
+	const a = document.createElement("a");
+	a.href = URL.createObjectURL(blob);
+	a.download = "collisionProfiles.json";
+	a.click();
+	URL.revokeObjectURL(a.href);
+}
+
+// profiles exported from older versions are upgraded before they are saved. they are
+// validated before they are saved, and we keep our profiles when they are rejected.
+async function importCollisionProfiles(file) {
+	let importedCollisionProfiles;
+	try {
+		importedCollisionProfiles = JSON.parse(await file.text());
+	} catch (error) {
+		showError(`${file.name} is not a collision profiles file:<br><br>${error}`);
+		return;
+	}
+
+	collisionProfiles = migrateCollisionProfiles(
+		importedCollisionProfiles,
+		defaultCollisionProfiles,
+	);
+	if (!(await saveCollisionProfiles())) {
+		return;
+	}
+
+	showCollisionProfiles();
+	bsOffcanvasSettings.hide();
 }
 
 function showError(message) {
@@ -670,7 +1153,7 @@ function drawRangeRings() {
 
 	for (let i = 1; i <= 6; i++) {
 		rangeRings.addLayer(
-			L.circle([selfTarget.latitude, selfTarget.longitude], {
+			L.circle([selfTarget.drLatitude, selfTarget.drLongitude], {
 				radius: i * step * METERS_PER_NM,
 				color: "gray",
 				weight: 1,
@@ -682,35 +1165,66 @@ function drawRangeRings() {
 		);
 
 		rangeRings.addLayer(
-			L.tooltip([selfTarget.latitude + (i * step) / 60, selfTarget.longitude], {
-				content: `${i * step} NM`,
-				permanent: true,
-				direction: "center",
-				opacity: 0.7,
-				offset: [0, 15],
-				className: "map-labels",
-				interactive: false,
-				zIndexOffset: -999,
-			}),
+			L.tooltip(
+				[selfTarget.drLatitude + (i * step) / 60, selfTarget.drLongitude],
+				{
+					content: `${i * step} NM`,
+					permanent: true,
+					direction: "center",
+					opacity: 0.7,
+					offset: [0, 15],
+					className: "map-labels",
+					interactive: false,
+					zIndexOffset: -999,
+				},
+			),
 		);
 
 		rangeRings.addLayer(
-			L.tooltip([selfTarget.latitude - (i * step) / 60, selfTarget.longitude], {
-				content: `${i * step} NM`,
-				permanent: true,
-				direction: "center",
-				opacity: 0.7,
-				offset: [0, -15],
-				className: "map-labels",
-				interactive: false,
-				zIndexOffset: -999,
-			}),
+			L.tooltip(
+				[selfTarget.drLatitude - (i * step) / 60, selfTarget.drLongitude],
+				{
+					content: `${i * step} NM`,
+					permanent: true,
+					direction: "center",
+					opacity: 0.7,
+					offset: [0, -15],
+					className: "map-labels",
+					interactive: false,
+					zIndexOffset: -999,
+				},
+			),
 		);
 	}
 
 	rangeRings.addTo(map);
 }
 
+// outline of the ship domain of the active profile - only when the profile uses it
+function drawShipDomain(displayedSelfTarget) {
+	const profile = collisionProfiles[collisionProfiles.current];
+
+	if (
+		!displayedSelfTarget.isValid ||
+		profile.alarmModel !== "domain" ||
+		!profile.domain
+	) {
+		shipDomain.removeFrom(map);
+		return;
+	}
+
+	shipDomain.setLatLngs(
+		getShipDomainOutline(displayedSelfTarget, profile.domain).map((offset) =>
+			projectedLocation(
+				[displayedSelfTarget.drLatitude, displayedSelfTarget.drLongitude],
+				Math.atan2(offset.x, offset.y),
+				Math.hypot(offset.x, offset.y),
+			),
+		),
+	);
+	shipDomain.addTo(map);
+}
+
 async function refresh() {
 	try {
 		const startTime = new Date();
@@ -728,25 +1242,39 @@ async function refresh() {
 		});
 		vessels = Object.assign(vessels, atons);
 
-		validTargetCount = 0;
-		filteredTargetCount = 0;
-		alarmTargetCount = 0;
-
 		ingestRawVesselData(vessels);
 
+		// we need to do this after we get the initial round of targets - and before the
+		// alarms are evaluated, so that they start from the alarm state of the plugin
+		UpdateTargetsWithAlarmDataFromPlugin();
+
 		selfTarget = targets.get(selfMmsi);
 
 		try {
-			updateDerivedData(targets, selfTarget, collisionProfiles, TARGET_MAX_AGE);
+			conflicts = updateDerivedData(
+				targets,
+				selfTarget,
+				collisionProfiles,
+				TARGET_MAX_AGE,
+			);
 		} catch (error) {
+			conflicts = [];
 			console.error(error);
 			showError(`No GPS position available. Verify that you are connected to the 
                 SignalK server and that the SignalK server has a position for your vessel.<br><br>
                 ${error}`);
 		}
 
-		// we need to do this after we get the initial round of targets
-		UpdateTargetsWithMuteDataFromPlugin();
+		if (
+			collisionProfiles.autoSwitch?.enabled ||
+			collisionProfiles.regions?.length
+		) {
+			await updateProfileSwitchingStatus();
+		}
+
+		if (trialManoeuvre) {
+			updateTrialManoeuvre();
+		}
 
 		updateUI();
 
@@ -754,8 +1282,9 @@ async function refresh() {
 			ageOutOldTargets();
 		}
 
+		// alarms always come from the real targets - not from the trial manoeuvre
 		if (
-			alarmTargetCount > 0 &&
+			hasAlarmTargets() &&
 			(lastAlarmTime == null ||
 				Date.now() > lastAlarmTime + SHOW_ALARMS_INTERVAL)
 		) {
@@ -790,7 +1319,300 @@ async function refresh() {
 	}
 }
 
-function UpdateTargetsWithMuteDataFromPlugin() {
+// follow the profile switches of the plugin - automatic and by region
+async function updateProfileSwitchingStatus() {
+	const status = await getHttpResponse(
+		`/plugins/${PLUGIN_ID}/getProfileSwitching`,
+		{ throwErrors: false, ignore404: true },
+	);
+	if (!status) {
+		return;
+	}
+	if (status.current && status.current !== collisionProfiles.current) {
+		// the profile may have been created since we loaded the profiles
+		if (!collisionProfiles[status.current]) {
+			collisionProfiles = await getHttpResponse(
+				`/plugins/${PLUGIN_ID}/getCollisionProfiles`,
+				{ throwErrors: true },
+			);
+			savedCollisionProfiles = structuredClone(collisionProfiles);
+			updateProfileSelects();
+		}
+		collisionProfiles.current = status.current;
+		savedCollisionProfiles.current = status.current;
+		selectActiveProfile.value = status.current;
+	}
+	if (status.region) {
+		profileSwitchingStatus.textContent = `Region: ${status.region}`;
+	} else if (!status.enabled) {
+		profileSwitchingStatus.textContent = "";
+	} else {
+		profileSwitchingStatus.textContent = status.isOverridden
+			? "Manual override - until the situation changes"
+			: status.indicated
+				? `Automatic: ${status.indicated} - ${status.reason}`
+				: "Automatic: waiting for speed";
+	}
+}
+
+// a region across the antimeridian has longitudes on both sides of 180 degrees - keep
+// them within 180 degrees of the first point, so the polygon is not drawn around the world
+function getUnwrappedPolygon(polygon) {
+	const firstLongitude = polygon[0][1];
+	return polygon.map(([latitude, longitude]) => [
+		latitude,
+		firstLongitude + L.Util.wrapNum(longitude - firstLongitude, [-180, 180]),
+	]);
+}
+
+function drawProfileRegions() {
+	profileRegions.clearLayers();
+	for (const region of collisionProfiles.regions ?? []) {
+		profileRegions.addLayer(
+			L.polygon(getUnwrappedPolygon(region.polygon), {
+				color: "purple",
+				weight: 1,
+				opacity: 0.7,
+				fillOpacity: 0.05,
+				interactive: false,
+			}).bindTooltip(
+				`${region.name} - ${getProfileName(collisionProfiles, region.profile)}`,
+				{
+					permanent: true,
+					direction: "center",
+					opacity: 0.7,
+					className: "map-labels",
+				},
+			),
+		);
+	}
+	profileRegions.addTo(map);
+}
+
+function updateProfileRegionList() {
+	const div = document.getElementById("listProfileRegions");
+	div.innerHTML = "";
+	const regions = collisionProfiles.regions ?? [];
+
+	if (regions.length === 0) {
+		const item = document.createElement("div");
+		item.classList = "list-group-item text-secondary";
+		item.appendChild(document.createTextNode("No regions"));
+		div.appendChild(item);
+		return;
+	}
+
+	regions.forEach((region, i) => {
+		const item = document.createElement("div");
+		item.classList = "list-group-item d-flex align-items-center gap-2";
+		const label = document.createElement("span");
+		label.classList = "flex-fill";
+		label.appendChild(
+			document.createTextNode(
+				`${region.name} - ${getProfileName(collisionProfiles, region.profile)}`,
+			),
+		);
+		item.appendChild(label);
+		item.appendChild(getProfileRegionButton(i, "show", "bi-search"));
+		item.appendChild(getProfileRegionButton(i, "delete", "bi-trash"));
+		div.appendChild(item);
+	});
+}
+
+function getProfileRegionButton(index, action, icon) {
+	const button = document.createElement("button");
+	button.type = "button";
+	button.classList = `btn btn-sm ${action === "delete" ? "btn-outline-danger" : "btn-outline-secondary"}`;
+	button.setAttribute("data-index", index);
+	button.setAttribute("data-action", action);
+	button.innerHTML = `<i class="bi ${icon}"></i>`;
+	return button;
+}
+
+function handleListOfProfileRegionsClick(ev) {
+	const button = ev.target.closest("button");
+	if (!button) {
+		return;
+	}
+	const index = Number(button.dataset.index);
+	const region = collisionProfiles.regions[index];
+	if (button.dataset.action === "show") {
+		bsOffcanvasProfileRegions.hide();
+		map.fitBounds(getUnwrappedPolygon(region.polygon));
+	} else if (button.dataset.action === "delete") {
+		collisionProfiles.regions.splice(index, 1);
+		saveCollisionProfiles();
+		drawProfileRegions();
+		updateProfileRegionList();
+	}
+}
+
+// draw a new profile region by tapping its corners on the map
+function startProfileRegionDraft() {
+	if (trialManoeuvre) {
+		stopTrialManoeuvre();
+	}
+	profileRegionDraft = [];
+	inputProfileRegionName.value = `Region ${(collisionProfiles.regions?.length ?? 0) + 1}`;
+	selectProfileRegionProfile.value = collisionProfiles.current;
+	drawProfileRegionDraft();
+	profileRegionDraftOutline.addTo(map);
+	profileRegionPanel.classList.remove("d-none");
+}
+
+function stopProfileRegionDraft() {
+	profileRegionDraft = null;
+	profileRegionDraftOutline.removeFrom(map);
+	profileRegionPanel.classList.add("d-none");
+}
+
+function drawProfileRegionDraft() {
+	profileRegionDraftOutline.setLatLngs(profileRegionDraft);
+	buttonProfileRegionUndo.disabled = profileRegionDraft.length === 0;
+	buttonProfileRegionSave.disabled = profileRegionDraft.length < 3;
+}
+
+function saveProfileRegionDraft() {
+	if (profileRegionDraft.length < 3) {
+		return;
+	}
+	collisionProfiles.regions = [
+		...(collisionProfiles.regions ?? []),
+		{
+			name:
+				inputProfileRegionName.value.trim() ||
+				`Region ${(collisionProfiles.regions?.length ?? 0) + 1}`,
+			profile: selectProfileRegionProfile.value,
+			// the map keeps counting past 180 degrees - the profiles dont
+			polygon: profileRegionDraft.map(([latitude, longitude]) => [
+				latitude,
+				L.Util.wrapNum(longitude, [-180, 180], true),
+			]),
+		},
+	];
+	saveCollisionProfiles();
+	stopProfileRegionDraft();
+	drawProfileRegions();
+}
+
+function hasAlarmTargets() {
+	for (const target of targets.values()) {
+		if (
+			target.mmsi !== selfMmsi &&
+			target.isValid &&
+			target.alarmState === "danger" &&
+			isAlarmAudible(target)
+		) {
+			return true;
+		}
+	}
+	return false;
+}
+
+// the targets shown on the map and in the target list - the trial manoeuvre targets
+// while the trial manoeuvre planner is open
+function getDisplayedTargets() {
+	return trialTargets ?? targets;
+}
+
+function startTrialManoeuvre() {
+	if (!selfTarget?.isValid) {
+		showError("No GPS position available for the trial manoeuvre.");
+		return;
+	}
+	if (profileRegionDraft) {
+		stopProfileRegionDraft();
+	}
+	trialManoeuvre = { cog: selfTarget.cog || 0, sog: selfTarget.sog || 0 };
+	trialManoeuvreHandle.addTo(map);
+	trialManoeuvrePanel.classList.remove("d-none");
+	updateTrialManoeuvre();
+	updateUI();
+}
+
+function stopTrialManoeuvre() {
+	trialManoeuvre = null;
+	trialTargets = null;
+	trialManoeuvreHandle.removeFrom(map);
+	trialManoeuvrePanel.classList.add("d-none");
+	updateUI();
+}
+
+// recalculate cpa/tcpa etc for all targets on a copy of the targets, with our vessel
+// on the trial course and speed. nothing is sent to the server.
+function updateTrialManoeuvre() {
+	trialTargets = structuredClone(targets);
+	const trialSelfTarget = trialTargets.get(selfMmsi);
+	trialSelfTarget.cog = trialManoeuvre.cog;
+	trialSelfTarget.sog = trialManoeuvre.sog;
+	trialSelfTarget.hdg = trialManoeuvre.cog;
+	trialSelfTarget.rot = 0;
+
+	// the trial shows the alarms right after the manoeuvre - not alarms held by hysteresis
+	trialTargets.forEach((target) => {
+		target.alarmHysteresis = null;
+	});
+
+	try {
+		updateDerivedData(
+			trialTargets,
+			trialSelfTarget,
+			collisionProfiles,
+			TARGET_MAX_AGE,
+		);
+	} catch (error) {
+		console.error(error);
+	}
+
+	// dont overwrite what the user is typing
+	if (document.activeElement !== inputTrialCourse) {
+		inputTrialCourse.value = Math.round(
+			(toDegrees(trialManoeuvre.cog) + 360) % 360,
+		);
+	}
+	if (document.activeElement !== inputTrialSpeed) {
+		inputTrialSpeed.value = (trialManoeuvre.sog * KNOTS_PER_M_PER_S).toFixed(1);
+	}
+}
+
+function handleTrialManoeuvreInput() {
+	const course = Number(inputTrialCourse.value);
+	const speed = Number(inputTrialSpeed.value);
+	if (!Number.isFinite(course) || !Number.isFinite(speed) || speed < 0) {
+		return;
+	}
+	trialManoeuvre = {
+		cog: toRadians(course),
+		sog: speed / KNOTS_PER_M_PER_S,
+	};
+	updateTrialManoeuvre();
+	updateUI();
+}
+
+function handleTrialManoeuvreHandleDrag(event) {
+	const start = [selfTarget.drLatitude, selfTarget.drLongitude];
+	const end = [event.latlng.lat, event.latlng.lng];
+	trialManoeuvre = {
+		cog: getBearing(start, end),
+		sog: map.distance(start, end) / (60 * COURSE_PROJECTION_MINUTES),
+	};
+
+	// dragging fires lots of events - only recalculate once per frame
+	if (!isTrialManoeuvreUpdatePending) {
+		isTrialManoeuvreUpdatePending = true;
+		requestAnimationFrame(() => {
+			isTrialManoeuvreUpdatePending = false;
+			if (trialManoeuvre) {
+				updateTrialManoeuvre();
+				updateUI();
+			}
+		});
+	}
+}
+
+// alarms acknowledged or silenced before the webapp was opened, and the alarms held by
+// hysteresis in the plugin
+function UpdateTargetsWithAlarmDataFromPlugin() {
 	if (!pluginTargets) {
 		return;
 	}
@@ -798,91 +1620,259 @@ function UpdateTargetsWithMuteDataFromPlugin() {
 	targets.forEach((target, mmsi) => {
 		pluginTarget = pluginTargets[mmsi];
 
-		if (pluginTarget?.alarmIsMuted) {
+		if (
+			pluginTarget?.alarmLifecycle === "activeAcknowledged" ||
+			pluginTarget?.alarmLifecycle === "activeSilenced"
+		) {
+			console.log(
+				`setting target ${mmsi} ${target.name} to ${pluginTarget.alarmLifecycle} because it is in the plugin`,
+			);
+			target.alarmLifecycle = pluginTarget.alarmLifecycle;
+			target.alarmSilencedUntil = pluginTarget.alarmSilencedUntil;
+		}
+
+		if (pluginTarget?.alarmMute) {
 			console.log(
 				`setting target ${mmsi} ${target.name} to muted because it is muted in the plugin`,
 			);
-			target.alarmIsMuted = true;
+			target.alarmMute = pluginTarget.alarmMute;
+		}
+
+		if (pluginTarget?.alarmHysteresis) {
+			target.alarmHysteresis = pluginTarget.alarmHysteresis;
 		}
 	});
 	pluginTargets = null;
 }
 
-function showAlarms() {
+async function showAlarms() {
+	// acknowledged and muted alarms are not shown again
 	var targetsWithAlarms = [];
 	targets.forEach((target) => {
-		if (target.isValid && target.alarmState && !target.alarmIsMuted) {
+		if (
+			target.isValid &&
+			(isAlarmAnnounced(target) ||
+				(target.alarmLifecycle === "rectifiedUnacknowledged" &&
+					!target.alarmMute))
+		) {
 			targetsWithAlarms.push(target);
 		}
 	});
 
 	if (targetsWithAlarms.length > 0) {
-		document.getElementById("alarmDiv").innerHTML = " ";
+		const requestId = ++alarmRequestId;
+		let alarmHtml = " ";
 		targetsWithAlarms.forEach((target) => {
+			if (target.alarmLifecycle === "rectifiedUnacknowledged") {
+				alarmHtml += `<div class="alert alert-secondary" role="alert">${target.name} - ${getAlarmLifecycleDescription(target.alarmLifecycle).toUpperCase()}</div>`;
+				return;
+			}
 			var message = `${target.name} - ${target.alarmType.toUpperCase()} - `;
 			if (target.alarmType.includes("cpa")) {
 				message += `${target.cpaFormatted} ${target.tcpaFormatted}`;
+				if (target.encounter) {
+					message += ` - ${target.encounterFormatted.toUpperCase()}`;
+				}
 			} else {
 				message += `${target.rangeFormatted}`;
 			}
-			document.getElementById("alarmDiv").innerHTML +=
-				`<div class="alert alert-danger" role="alert">${message}</div>`;
+			if (target.alarmLifecycle === "activeSilenced") {
+				message += " - SILENCED";
+			}
+			alarmHtml += `<div class="alert ${target.alarmLifecycle === "activeSilenced" ? "alert-warning" : "alert-danger"}" role="alert">${message}</div>`;
 		});
+		conflicts.forEach((conflict) => {
+			if (
+				conflict.targets.some((mmsi) =>
+					targetsWithAlarms.includes(targets.get(mmsi)),
+				)
+			) {
+				alarmHtml += `<div class="alert alert-warning" role="alert">${getConflictSummary(conflict).join("<br>")}</div>`;
+			}
+		});
+		document.getElementById("alarmDiv").innerHTML = alarmHtml;
 		bsModalAlarm.show();
-		new Audio(hornMp3Url).play();
+		if (targetsWithAlarms.some(isAlarmAudible)) {
+			new Audio(hornMp3Url).play();
+		}
+
+		// ask the plugin for a course or speed change that clears all collision alarms
+		if (targetsWithAlarms.some((target) => target.collisionAlarm)) {
+			const trialManoeuvres = await getHttpResponse(
+				`/plugins/${PLUGIN_ID}/getTrialManoeuvre`,
+				{ throwErrors: false, ignore404: true },
+			);
+			const suggestions = getTrialManoeuvreSuggestions(trialManoeuvres);
+			// the alarms were shown again, or the modal was closed, in the meantime
+			if (requestId !== alarmRequestId || suggestions.length === 0) {
+				return;
+			}
+			document.getElementById("alarmDiv").innerHTML =
+				`${alarmHtml}<div class="alert alert-info" role="alert">${suggestions.join("<br>")}</div>`;
+		}
 	}
 }
 
-async function muteAllAlarms() {
-	console.log("muting all alarms");
-	targets.forEach((target, mmsi) => {
-		if (target.alarmState === "danger" && !target.alarmIsMuted) {
-			console.log(
-				"muting alarm for target",
-				mmsi,
-				target.name,
-				target.alarmType,
-				target.alarmState,
+// compound encounter, and which manoeuvres are blocked by which targets
+function getConflictSummary(conflict) {
+	const getNames = (mmsis) =>
+		mmsis.map((mmsi) => targets.get(mmsi)?.name || `<${mmsi}>`).join(", ");
+	const summary = [
+		`COMPOUND ENCOUNTER - ${getNames(conflict.targets)}`.toUpperCase(),
+	];
+	if (conflict.blocked) {
+		for (const [manoeuvre, mmsis] of Object.entries(conflict.blocked)) {
+			const description = getManoeuvreDescription(manoeuvre);
+			summary.push(
+				`${description[0].toUpperCase()}${description.slice(1)} ${mmsis.length > 0 ? `blocked by ${getNames(mmsis)}` : "is clear"}`,
+			);
+		}
+	}
+	return summary;
+}
+
+function getTrialManoeuvreSuggestions(trialManoeuvres) {
+	const suggestions = [];
+	if (!trialManoeuvres || trialManoeuvres.targets.length === 0) {
+		return suggestions;
+	}
+	const targetsText =
+		trialManoeuvres.targets.length === 1
+			? "clears the target"
+			: "clears all targets";
+	for (const side of ["starboard", "port"]) {
+		const manoeuvre = trialManoeuvres[side];
+		if (manoeuvre) {
+			suggestions.push(
+				`Alter ${manoeuvre.alteration}° to ${side} (${manoeuvre.course} T) ${targetsText}`,
 			);
-			target.alarmIsMuted = true;
 		}
+	}
+	if (trialManoeuvres.speed) {
+		suggestions.push(
+			`${trialManoeuvres.speed.change < 0 ? "Slow down" : "Speed up"} to ${trialManoeuvres.speed.speed.toFixed(1)} kn ${targetsText}`,
+		);
+	}
+	if (suggestions.length === 0) {
+		suggestions.push(
+			"No course alteration up to 90° or speed change clears all targets",
+		);
+	}
+	return suggestions;
+}
+
+async function acknowledgeAllAlarms() {
+	console.log("acknowledging all alarms");
+	targets.forEach((target) => {
+		acknowledgeAlarm(target);
 	});
+	updateSelectedVesselAlarmButtons();
 
-	// mute alarms in the plugin as well
-	// /plugins/${PLUGIN_ID}/muteAllAlarms
-	await getHttpResponse(`/plugins/${PLUGIN_ID}/muteAllAlarms`, {
+	// acknowledge alarms in the plugin as well
+	// /plugins/${PLUGIN_ID}/acknowledgeAllAlarms
+	await getHttpResponse(`/plugins/${PLUGIN_ID}/acknowledgeAllAlarms`, {
 		throwErrors: true,
 		ignoreEmptyResponse: true,
 	});
 }
 
-async function handleButtonMuteToggle() {
+async function silenceAllAlarms() {
+	console.log("silencing all alarms");
+	targets.forEach((target) => {
+		silenceAlarm(target);
+	});
+	updateSelectedVesselAlarmButtons();
+
+	// /plugins/${PLUGIN_ID}/silenceAllAlarms
+	await getHttpResponse(`/plugins/${PLUGIN_ID}/silenceAllAlarms`, {
+		throwErrors: true,
+		ignoreEmptyResponse: true,
+	});
+}
+
+async function handleButtonAcknowledgeAlarm() {
 	var target = targets.get(selectedVesselMmsi);
-	target.alarmIsMuted = !target.alarmIsMuted;
-	updateButtonMuteToggleIcon(target);
-	showAlert(`Target ${target.alarmIsMuted ? "" : "un"}muted`, "success");
-
-	console.log(
-		"setting alarmIsMuted",
-		target.mmsi,
-		target.name,
-		target.alarmIsMuted,
-	);
+	if (!acknowledgeAlarm(target)) {
+		return;
+	}
+	updateSelectedVesselAlarmButtons();
+	showAlert("Alarm acknowledged", "success");
+	console.log("acknowledging alarm", target.mmsi, target.name);
 
-	// GET /plugins/${plugin.id}/setAlarmIsMuted/:mmsi/:alarmIsMuted
+	// GET /plugins/${plugin.id}/acknowledgeAlarm/:mmsi
 	await getHttpResponse(
-		`/plugins/${PLUGIN_ID}/setAlarmIsMuted/${target.mmsi}/${target.alarmIsMuted}`,
+		`/plugins/${PLUGIN_ID}/acknowledgeAlarm/${target.mmsi}`,
 		{ throwErrors: true, ignoreEmptyResponse: true },
 	);
 }
 
-function updateButtonMuteToggleIcon(target) {
-	if (target.alarmIsMuted) {
-		document.querySelector("#buttonMuteToggle > i").className =
-			"bi bi-volume-mute-fill";
+async function handleButtonSilenceAlarm() {
+	var target = targets.get(selectedVesselMmsi);
+	if (!silenceAlarm(target)) {
+		return;
+	}
+	updateSelectedVesselAlarmButtons();
+	showAlert("Alarm silenced", "success");
+	console.log("silencing alarm", target.mmsi, target.name);
+
+	// GET /plugins/${plugin.id}/silenceAlarm/:mmsi
+	await getHttpResponse(`/plugins/${PLUGIN_ID}/silenceAlarm/${target.mmsi}`, {
+		throwErrors: true,
+		ignoreEmptyResponse: true,
+	});
+}
+
+async function handleButtonMuteToggle() {
+	var target = targets.get(selectedVesselMmsi);
+	if (target.alarmMute) {
+		unmuteAlarm(target);
 	} else {
-		document.querySelector("#buttonMuteToggle > i").className =
-			"bi bi-volume-up-fill";
+		muteAlarm(target);
+	}
+	updateSelectedVesselAlarmButtons();
+	showAlert(`Target ${target.alarmMute ? "" : "un"}muted`, "success");
+	console.log("setting alarmMute", target.mmsi, target.name, target.alarmMute);
+
+	// GET /plugins/${plugin.id}/muteAlarm/:mmsi
+	// GET /plugins/${plugin.id}/unmuteAlarm/:mmsi
+	await getHttpResponse(
+		`/plugins/${PLUGIN_ID}/${target.alarmMute ? "muteAlarm" : "unmuteAlarm"}/${target.mmsi}`,
+		{ throwErrors: true, ignoreEmptyResponse: true },
+	);
+}
+
+// only offer the operations that apply to the alarm of the selected vessel
+function updateSelectedVesselAlarmButtons() {
+	const target = targets.get(selectedVesselMmsi);
+	document.querySelector("#buttonMuteToggle > i").className = target?.alarmMute
+		? "bi bi-bell-slash-fill"
+		: "bi bi-bell-slash";
+	buttonAcknowledgeAlarm.disabled = !(
+		target?.alarmLifecycle && target.alarmLifecycle !== "activeAcknowledged"
+	);
+	buttonSilenceAlarm.disabled = !(
+		target?.alarmLifecycle === "activeUnacknowledged" ||
+		target?.alarmLifecycle === "activeSilenced"
+	);
+}
+
+// icon for the alarm lifecycle of the target in the target list
+function getAlarmLifecycleIcon(target) {
+	if (target.alarmMute) {
+		return `<i class="bi bi-bell-slash-fill" title="Muted"></i> <small class="fw-normal">${target.alarmMuteFormatted}</small>`;
+	}
+	const description = getAlarmLifecycleDescription(target.alarmLifecycle);
+	switch (target.alarmLifecycle) {
+		case "activeUnacknowledged":
+			return `<i class="bi bi-bell-fill text-danger" title="${description}"></i>`;
+		case "activeSilenced":
+			return `<i class="bi bi-volume-mute-fill" title="${description}"></i>`;
+		case "activeAcknowledged":
+			return `<i class="bi bi-check2-square" title="${description}"></i>`;
+		case "rectifiedUnacknowledged":
+			return `<i class="bi bi-bell" title="${description}"></i>`;
+		default:
+			return "";
 	}
 }
 
@@ -915,29 +1905,45 @@ function ingestRawVesselData(vessels) {
 			continue;
 		}
 
+		// fall back on what the plugin knows from earlier encounters
+		const cached = staticData?.[vessel.mmsi] ?? {};
+
 		target.mmsi = String(vessel.mmsi);
-		target.name = vessel.name || `<${vessel.mmsi}>`;
+		target.name = vessel.name || cached.name || `<${vessel.mmsi}>`;
 		target.sog = vessel.navigation?.speedOverGround?.value;
 		target.cog = vessel.navigation?.courseOverGroundTrue?.value;
 		target.hdg = vessel.navigation?.headingTrue?.value;
 		target.rot = vessel.navigation?.rateOfTurn?.value;
-		target.callsign = vessel.communication?.callsignVhf || "---";
+		target.callsign =
+			vessel.communication?.callsignVhf || cached.callsign || "---";
 		target.typeId =
-			vessel.design?.aisShipType?.value.id || vessel.atonType?.value.id;
+			vessel.design?.aisShipType?.value.id ||
+			vessel.atonType?.value.id ||
+			cached.typeId;
 		target.type =
-			(vessel.design?.aisShipType?.value.name || vessel.atonType?.value.name) ??
+			(vessel.design?.aisShipType?.value.name ||
+				vessel.atonType?.value.name ||
+				cached.type) ??
 			"---";
 		target.aisClass = vessel.sensors?.ais?.class?.value || "A";
 		target.isVirtual = vessel.virtual?.value;
 		target.isOffPosition = vessel.offPosition?.value;
 		target.status = vessel.navigation?.state?.value ?? "---";
-		target.length = vessel.design?.length?.value.overall;
-		target.beam = vessel.design?.beam?.value;
+		target.length = vessel.design?.length?.value.overall ?? cached.length;
+		target.beam = vessel.design?.beam?.value ?? cached.beam;
+		// our own position comes from the gps - the antenna offsets of our ais transponder
+		// only apply when the gps has none
+		const antenna =
+			vessel.mmsi === selfMmsi && vessel.sensors?.gps?.fromBow
+				? vessel.sensors.gps
+				: vessel.sensors?.ais;
+		target.fromBow = antenna?.fromBow?.value ?? cached.fromBow;
+		target.fromCenter = antenna?.fromCenter?.value ?? cached.fromCenter;
 		target.draft = vessel.design?.draft?.current ?? "---";
 		target.destination =
 			vessel.navigation?.destination?.commonName?.value ?? "---";
 		target.eta = vessel.navigation?.destination?.eta?.value ?? "---";
-		target.imo = vessel.registrations?.imo;
+		target.imo = vessel.registrations?.imo ?? cached.imo;
 		target.latitude = vessel.navigation?.position?.value.latitude;
 		target.longitude = vessel.navigation?.position?.value.longitude;
 
@@ -952,21 +1958,53 @@ function ingestRawVesselData(vessels) {
 }
 
 function updateSelectedVesselProperties(target) {
-	updateButtonMuteToggleIcon(target);
+	updateSelectedVesselAlarmButtons();
 	document.getElementById("target.name").textContent = target.name;
+	document.getElementById("target.alarmMuteFormatted").textContent =
+		target.alarmMuteFormatted;
 	document.getElementById("target.lastSeen").textContent = target.lastSeen;
 	document.getElementById("target.cpaFormatted").textContent =
 		target.cpaFormatted;
 	document.getElementById("target.tcpaFormatted").textContent =
 		target.tcpaFormatted;
+	document.getElementById("target.turnCpaFormatted").textContent =
+		target.turnCpaFormatted;
+	document.getElementById("target.turnTcpaFormatted").textContent =
+		target.turnTcpaFormatted;
+	document.getElementById("target.hullCpaFormatted").textContent =
+		target.hullCpaFormatted;
+	document.getElementById("target.hullTcpaFormatted").textContent =
+		target.hullTcpaFormatted;
+	document.getElementById("target.bcrFormatted").textContent =
+		target.bcrFormatted;
+	document.getElementById("target.bctFormatted").textContent =
+		target.bctFormatted;
+	document.getElementById("target.cpaIntervalFormatted").textContent =
+		target.cpaIntervalFormatted;
+	document.getElementById("target.dangerProbabilityFormatted").textContent =
+		target.dangerProbabilityFormatted;
+	document.getElementById("target.domainPenetrationFormatted").textContent =
+		target.domainPenetrationFormatted;
 	document.getElementById("target.rangeFormatted").textContent =
 		target.rangeFormatted;
 	document.getElementById("target.bearingFormatted").textContent =
 		target.bearingFormatted;
+	document.getElementById("target.encounterFormatted").textContent =
+		target.encounterFormatted;
+	document.getElementById("target.riskScoreFormatted").textContent =
+		target.riskScoreFormatted;
+	document.getElementById("target.rangeRateFormatted").textContent =
+		target.rangeRateFormatted;
+	document.getElementById("target.bearingRateFormatted").textContent =
+		target.bearingRateFormatted;
 	document.getElementById("target.sogFormatted").textContent =
 		target.sogFormatted;
 	document.getElementById("target.cogFormatted").textContent =
 		target.cogFormatted;
+	document.getElementById("target.filteredSogFormatted").textContent =
+		target.filteredSogFormatted;
+	document.getElementById("target.filteredCogFormatted").textContent =
+		target.filteredCogFormatted;
 	document.getElementById("target.hdgFormatted").textContent =
 		target.hdgFormatted;
 	document.getElementById("target.rotFormatted").textContent =
@@ -1010,16 +2048,29 @@ function updateSelectedVesselProperties(target) {
 	// show/hide alert:
 	var selectedVesselAlert = document.getElementById("selectedVesselAlert");
 
+	const lifecycle =
+		target.alarmLifecycle && target.alarmLifecycle !== "activeUnacknowledged"
+			? ` - ${getAlarmLifecycleDescription(target.alarmLifecycle)}`
+			: "";
+
 	if (target.alarmState === "danger") {
-		selectedVesselAlert.classList.remove("alert-warning");
+		selectedVesselAlert.classList.remove("alert-warning", "alert-secondary");
 		selectedVesselAlert.classList.add("alert-danger");
-		selectedVesselAlert.textContent = `${target.alarmType} alarm`.toUpperCase();
+		selectedVesselAlert.textContent =
+			`${target.alarmType} alarm${lifecycle}`.toUpperCase();
 		selectedVesselAlert.classList.remove("d-none");
 	} else if (target.alarmState === "warning") {
-		selectedVesselAlert.classList.remove("alert-danger");
+		selectedVesselAlert.classList.remove("alert-danger", "alert-secondary");
 		selectedVesselAlert.classList.add("alert-warning");
 		selectedVesselAlert.textContent =
-			`${target.alarmType} warning`.toUpperCase();
+			`${target.alarmType} warning${lifecycle}`.toUpperCase();
+		selectedVesselAlert.classList.remove("d-none");
+	} else if (target.alarmLifecycle === "rectifiedUnacknowledged") {
+		selectedVesselAlert.classList.remove("alert-danger", "alert-warning");
+		selectedVesselAlert.classList.add("alert-secondary");
+		selectedVesselAlert.textContent = getAlarmLifecycleDescription(
+			target.alarmLifecycle,
+		).toUpperCase();
 		selectedVesselAlert.classList.remove("d-none");
 	} else {
 		selectedVesselAlert.classList.add("d-none");
@@ -1045,6 +2096,12 @@ function activateToolTips() {
 }
 
 function updateUI() {
+	const displayedTargets = getDisplayedTargets();
+
+	validTargetCount = 0;
+	filteredTargetCount = 0;
+	alarmTargetCount = 0;
+
 	// keep map centered on selfTarget as it moves
 	// accomodates offsets if the user has panned the map
 	if (selfTarget.isValid) {
@@ -1054,8 +2111,8 @@ function updateUI() {
 				disableMoveend = true;
 				map.panTo(
 					[
-						selfTarget.latitude + offsetLatitude,
-						selfTarget.longitude + offsetLongitude,
+						selfTarget.drLatitude + offsetLatitude,
+						selfTarget.drLongitude + offsetLongitude,
 					],
 					{
 						animate: false,
@@ -1070,7 +2127,10 @@ function updateUI() {
 		drawRangeRings();
 	}
 
-	targets.forEach((target) => {
+	// the trial manoeuvre planner turns the domain with the trial course
+	drawShipDomain(displayedTargets.get(selfMmsi) ?? selfTarget);
+
+	displayedTargets.forEach((target) => {
 		//console.log(target);
 		updateSingleVesselUI(target);
 
@@ -1084,6 +2144,17 @@ function updateUI() {
 
 	updateTableOfTargets();
 
+	// keep the trial manoeuvre handle at the end of our projected course line
+	if (trialManoeuvre && !isTrialManoeuvreHandleDragging) {
+		trialManoeuvreHandle.setLatLng(
+			projectedLocation(
+				[selfTarget.drLatitude, selfTarget.drLongitude],
+				trialManoeuvre.cog,
+				trialManoeuvre.sog * 60 * COURSE_PROJECTION_MINUTES,
+			),
+		);
+	}
+
 	// update displayed target counts
 	totalTargetCountUI.textContent = validTargetCount || 0;
 	filteredTargetCountUI.textContent = filteredTargetCount || 0;
@@ -1091,7 +2162,7 @@ function updateUI() {
 }
 
 function updateTableOfTargets() {
-	var targetsArray = Array.from(targets.values());
+	var targetsArray = Array.from(getDisplayedTargets().values());
 
 	// NOTE - For testing table column widths
 	// targetsArray.push({
@@ -1119,6 +2190,14 @@ function updateTableOfTargets() {
 				return a.cpa - b.cpa;
 			} else if (sortTableBy === "range") {
 				return a.range - b.range;
+			} else if (sortTableBy === "bcr") {
+				// closest crossing first, targets that dont cross our course last
+				return compareNullsLast(
+					a.bcr != null ? Math.abs(a.bcr) : null,
+					b.bcr != null ? Math.abs(b.bcr) : null,
+				);
+			} else if (sortTableBy === "bct") {
+				return compareNullsLast(a.bct, b.bct);
 			} else if (sortTableBy === "name") {
 				return a.name > b.name ? 1 : -1;
 			} else {
@@ -1141,19 +2220,23 @@ function updateTableOfTargets() {
 										? "table-danger"
 										: target.alarmState === "warning"
 											? "table-warning"
-											: ""
+											: target.alarmLifecycle === "rectifiedUnacknowledged"
+												? "table-secondary"
+												: ""
 								}" data-mmsi="${target.mmsi}">
 					<td scope="row">
 						${getTargetSvg(target)}
 					</td>
 					<th>
-						${target.name} ${target.alarmIsMuted ? '<i class="bi bi-volume-mute-fill"></i>' : ""}
+						${target.name} ${getAlarmLifecycleIcon(target)} ${target.isCbdr ? '<span class="badge text-bg-danger" title="Constant bearing, decreasing range">CBDR</span>' : ""}
 					</th>
 					<td class="text-end">${target.bearingFormatted}</td>
 					<td class="text-end">${target.rangeFormatted}</td>
 					<td class="text-end">${target.sogFormatted}</td>
 					<td class="text-end">${target.cpa ? target.cpaFormatted : ""}</td>
 					<td class="text-end">${target.cpa ? target.tcpaFormatted : ""}</td>
+					<td class="text-end">${target.bcr != null ? target.bcrFormatted : ""}</td>
+					<td class="text-end">${target.bct != null ? target.bctFormatted : ""}</td>
                 </tr>`;
 			rowCount++;
 			// <td>${target.order}</td>
@@ -1164,6 +2247,16 @@ function updateTableOfTargets() {
 	document.getElementById("numberOfAisTargets").textContent = rowCount;
 }
 
+function compareNullsLast(a, b) {
+	if (a == null) {
+		return b == null ? 0 : 1;
+	}
+	if (b == null) {
+		return -1;
+	}
+	return a - b;
+}
+
 function getTargetSvg(target) {
 	// fishing
 	if (target.typeId === 30) {
@@ -1249,7 +2342,7 @@ function updateSingleVesselUI(target) {
 		boatProjectedCourseLines.set(target.mmsi, boatProjectedCourseLine);
 	}
 
-	boatMarker.setLatLng([target.latitude, target.longitude]);
+	boatMarker.setLatLng([target.drLatitude, target.drLongitude]);
 
 	var vesselIconColor;
 	var vesselIconIsLarge;
@@ -1270,9 +2363,14 @@ function updateSingleVesselUI(target) {
 
 	boatMarker.setIcon(getTargetIcon(target, vesselIconIsLarge, vesselIconColor));
 
+	// dead reckoned positions are drawn faded
+	boatMarker.setOpacity(
+		target.isInterpolated ? INTERPOLATED_TARGET_OPACITY : 1,
+	);
+
 	// move the blue box with the selected boat over time
 	if (target.mmsi === selectedVesselMmsi && blueBoxIcon) {
-		blueBoxIcon.setLatLng([target.latitude, target.longitude]);
+		blueBoxIcon.setLatLng([target.drLatitude, target.drLongitude]);
 	}
 
 	// store the whole vessel data model on the boat marker
@@ -1307,19 +2405,24 @@ function updateSingleVesselUI(target) {
 		addLabelToCollisionController(boatMarker, target.mmsi, target.order);
 	}
 
+	// the projected course lines follow the kalman filtered cog/sog, like the cpa and the
+	// dead reckoning
+	const cog = (target.filteredCog ?? target.cog) || 0;
+	const sog = (target.filteredSog ?? target.sog) || 0;
+
 	// if this is our vessel and another vessel has been selected
 	// draw a solid blue line to cpa point from our vessel
 	// FIXME: the problem with this is that we process our vessel first. so the selected vessel wont be in targets yet: & targets.has(selectedVesselMmsi)
 	if (target.mmsi === selfMmsi && selectedVesselMmsi) {
 		//console.log(selectedVesselMmsi, targets.get(selectedVesselMmsi));
 		const projectedCpaLocation = projectedLocation(
-			[target.latitude, target.longitude],
-			target.cog || 0,
-			(target.sog || 0) * (targets.get(selectedVesselMmsi).tcpa || 0),
+			[target.drLatitude, target.drLongitude],
+			cog,
+			sog * (getDisplayedTargets().get(selectedVesselMmsi).tcpa || 0),
 		);
 
 		boatProjectedCourseLine.setLatLngs([
-			[target.latitude, target.longitude],
+			[target.drLatitude, target.drLongitude],
 			projectedCpaLocation,
 		]);
 
@@ -1342,13 +2445,13 @@ function updateSingleVesselUI(target) {
 	// draw solid blue line to the cpa point from selected vessel
 	else if (selectedVesselMmsi === target.mmsi) {
 		const projectedCpaLocation = projectedLocation(
-			[target.latitude, target.longitude],
-			target.cog || 0,
-			(target.sog || 0) * (target.tcpa || 0),
+			[target.drLatitude, target.drLongitude],
+			cog,
+			sog * (target.tcpa || 0),
 		);
 
 		boatProjectedCourseLine.setLatLngs([
-			[target.latitude, target.longitude],
+			[target.drLatitude, target.drLongitude],
 			projectedCpaLocation,
 		]);
 
@@ -1370,13 +2473,21 @@ function updateSingleVesselUI(target) {
 	// all other vessels (not our vessel and not a selected vessel)
 	// draw dashed gray line to course projected position
 	// but do orange or red depending on alarm state
+	// while planning a trial manoeuvre, project closing targets to their position at cpa
 	else {
+		const projectionTime =
+			trialManoeuvre &&
+			target.mmsi !== selfMmsi &&
+			target.tcpa > 0 &&
+			target.tcpa < 3600
+				? target.tcpa
+				: 60 * COURSE_PROJECTION_MINUTES;
 		boatProjectedCourseLine.setLatLngs([
-			[target.latitude, target.longitude],
+			[target.drLatitude, target.drLongitude],
 			projectedLocation(
-				[target.latitude, target.longitude],
-				target.cog || 0,
-				(target.sog || 0) * 60 * COURSE_PROJECTION_MINUTES,
+				[target.drLatitude, target.drLongitude],
+				cog,
+				sog * projectionTime,
 			),
 		]);
 
@@ -1468,7 +2579,7 @@ function boatClicked(event) {
 
 	selectBoatMarker(boatMarker);
 	positionModalWindow(boatMarker.getLatLng(), "modalSelectedVesselProperties");
-	showModalSelectVesselProperties(targets.get(boatMarker.mmsi));
+	showModalSelectVesselProperties(getDisplayedTargets().get(boatMarker.mmsi));
 }
 
 function showModalSelectVesselProperties(target) {
@@ -1557,16 +2668,22 @@ function selectBoatMarker(boatMarker) {
 	}
 
 	selectedVesselMmsi = boatMarker.mmsi;
-	updateSingleVesselUI(targets.get(selectedVesselMmsi));
+	updateSingleVesselUI(getDisplayedTargets().get(selectedVesselMmsi));
 
 	if (oldSelectedVesselMmsi) {
-		updateSingleVesselUI(targets.get(oldSelectedVesselMmsi));
+		updateSingleVesselUI(getDisplayedTargets().get(oldSelectedVesselMmsi));
 	}
 
 	// FIXME blueLayerGroup.addTo(map);
 }
 
-function handleMapClick() {
+function handleMapClick(ev) {
+	if (profileRegionDraft) {
+		profileRegionDraft.push([ev.latlng.lat, ev.latlng.lng]);
+		drawProfileRegionDraft();
+		return;
+	}
+
 	blueBoxIcon.removeFrom(map);
 	blueCircle1.removeFrom(map);
 	blueCircle2.removeFrom(map);
@@ -1576,9 +2693,9 @@ function handleMapClick() {
 		// update selected vessel (remove blue):
 		const savedSelectedVesselMmsi = selectedVesselMmsi;
 		selectedVesselMmsi = null;
-		updateSingleVesselUI(targets.get(savedSelectedVesselMmsi));
+		updateSingleVesselUI(getDisplayedTargets().get(savedSelectedVesselMmsi));
 		// update own vessel (remove blue):
-		updateSingleVesselUI(targets.get(selfMmsi));
+		updateSingleVesselUI(getDisplayedTargets().get(selfMmsi));
 	}
 }
 
@@ -1669,6 +2786,17 @@ function projectedLocation(start, θ, distance) {
 	return [toDegrees(φ2), ((toDegrees(λ2) + 540) % 360) - 180]; // normalise to −180..+180°
 }
 
+// initial bearing (in radians) from start to end
+function getBearing(start, end) {
+	const φ1 = toRadians(start[0]);
+	const φ2 = toRadians(end[0]);
+	const Δλ = toRadians(end[1] - start[1]);
+	const y = Math.sin(Δλ) * Math.cos(φ2);
+	const x =
+		Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+	return (Math.atan2(y, x) + 2 * Math.PI) % (2 * Math.PI);
+}
+
 async function getHttpResponse(url, options) {
 	let response;
 	let jsonResponse;
@@ -0,0 +1,188 @@
+// risk scoring strategies
+//
+// each strategy returns a normalized collision risk between 0 (no risk) and 1 (highest
+// risk) for a target. evaluateAlarms uses the risk to sort targets within their alarm
+// state (alarms first, then warnings, then closing targets, then everything else).
+//
+// strategies are called with (target, selfTarget, cpa, tcpa, profile) where cpa/tcpa
+// are the values selected by the cpaMode of the profile (in meters and seconds).
+//
+// to add a strategy, add it to riskScoringStrategies and to the selectRiskScoring
+// options in index.html.
+
+const METERS_PER_NM = 1852;
+const KNOTS_PER_M_PER_S = 1.94384;
+
+export const DEFAULT_RISK_SCORING = "legacy";
+
+export const riskScoringStrategies = {
+	legacy: getLegacyRisk,
+	timeToDanger: getTimeToDangerRisk,
+	fuzzyCri: getFuzzyCollisionRiskIndex,
+};
+
+export function getRiskScore(strategy, target, selfTarget, cpa, tcpa, profile) {
+	const getRisk =
+		riskScoringStrategies[strategy] ??
+		riskScoringStrategies[DEFAULT_RISK_SCORING];
+	const risk = getRisk(target, selfTarget, cpa, tcpa, profile);
+	return Number.isFinite(risk) ? Math.min(1, Math.max(0, risk)) : 0;
+}
+
+// the original hand tuned weights: sooner tcpa, closer cpa, closer range, closing speed
+// and constant bearing with decreasing range
+const LEGACY_MAX_REDUCTION = 5500; // sum of all the weights that lower the order
+const LEGACY_SPAN = 15000; // order adjustments beyond this are all scored as 0 risk
+
+function getLegacyRisk(target, _selfTarget, cpa, tcpa) {
+	let adjustment = 0;
+
+	// sort sooner tcpa targets to top
+	if (tcpa != null && tcpa > 0) {
+		// sort vessels with any tcpa above vessels that dont have a tcpa
+		adjustment -= 1000;
+		// tcpa of 0 seconds reduces order by 1000 (this is an arbitrary weighting)
+		// tcpa of 60 minutes reduces order by 0
+		const weight = 1000;
+		adjustment -= Math.max(0, Math.round(weight - (weight * tcpa) / 3600));
+	}
+
+	// sort closer cpa targets to top
+	if (cpa != null && cpa > 0) {
+		// cpa of 0 nm reduces order by 2000 (this is an arbitrary weighting)
+		// cpa of 5 nm reduces order by 0
+		const weight = 2000;
+		adjustment -= Math.max(
+			0,
+			Math.round(weight - (weight * cpa) / 5 / METERS_PER_NM),
+		);
+	}
+
+	// sort closer targets to top
+	if (target.range != null && target.range > 0) {
+		// range of 0 nm increases order by 0
+		// range of 5 nm increases order by 500
+		adjustment += Math.round((100 * target.range) / METERS_PER_NM);
+	}
+
+	// sort targets that are closing fast to top
+	if (target.rangeRate != null && target.rangeRate < 0) {
+		// closing speed of 0 knots reduces order by 0
+		// closing speed of 20 knots reduces order by 500 (this is an arbitrary weighting)
+		const weight = 500;
+		adjustment -= Math.min(
+			weight,
+			Math.round((weight * -target.rangeRate * KNOTS_PER_M_PER_S) / 20),
+		);
+	}
+
+	// constant bearing and decreasing range
+	if (target.isCbdr) {
+		adjustment -= 1000;
+	}
+
+	return 1 - (adjustment + LEGACY_MAX_REDUCTION) / LEGACY_SPAN;
+}
+
+// time until the target comes within the danger cpa of the profile. the risk is 1 when
+// it is already inside, 0.5 when it gets there in danger.tcpa seconds, and 0 when it
+// never gets there.
+function getTimeToDangerRisk(target, _selfTarget, cpa, tcpa, profile) {
+	const dangerCpa = profile.danger.cpa * METERS_PER_NM;
+
+	if (target.range != null && target.range < dangerCpa) {
+		return 1;
+	}
+
+	if (
+		cpa == null ||
+		tcpa == null ||
+		tcpa <= 0 ||
+		cpa >= dangerCpa ||
+		target.range == null
+	) {
+		return 0;
+	}
+
+	// relative speed along the (straight) relative track
+	const relativeSpeed = Math.sqrt(target.range ** 2 - cpa ** 2) / tcpa;
+	if (!(relativeSpeed > 0)) {
+		return 0;
+	}
+
+	const timeToDanger = Math.max(
+		0,
+		tcpa - Math.sqrt(dangerCpa ** 2 - cpa ** 2) / relativeSpeed,
+	);
+
+	return profile.danger.tcpa / (profile.danger.tcpa + timeToDanger);
+}
+
+// fuzzy collision risk index - a weighted sum of membership functions of the cpa,
+// tcpa, range, and relative bearing (after Kearon, Hara, and Chen et al). the
+// membership limits come from the warning and danger thresholds of the profile.
+const CRI_WEIGHT_CPA = 0.4457;
+const CRI_WEIGHT_TCPA = 0.2258;
+const CRI_WEIGHT_RANGE = 0.1408;
+const CRI_WEIGHT_BEARING = 0.1321;
+const CRI_RANGE_FACTOR = 4; // range membership drops to 0 at this multiple of the close quarters range
+
+function getFuzzyCollisionRiskIndex(target, selfTarget, cpa, tcpa, profile) {
+	if (cpa == null || tcpa == null || tcpa < 0) {
+		return 0;
+	}
+
+	// cpa membership - 1 inside the danger cpa, 0 outside the warning cpa
+	const d1 = profile.danger.cpa * METERS_PER_NM;
+	const d2 = Math.max(profile.warning.cpa * METERS_PER_NM, 2 * d1);
+	let uCpa = 0;
+	if (cpa <= d1) {
+		uCpa = 1;
+	} else if (cpa <= d2) {
+		uCpa = 0.5 - 0.5 * Math.sin((Math.PI / (d2 - d1)) * (cpa - (d1 + d2) / 2));
+	}
+
+	// tcpa membership - 1 inside the danger tcpa, 0 outside the warning tcpa
+	const t1 = profile.danger.tcpa;
+	const t2 = Math.max(profile.warning.tcpa, t1 + 60);
+	let uTcpa = 0;
+	if (tcpa <= t1) {
+		uTcpa = 1;
+	} else if (tcpa <= t2) {
+		uTcpa = ((t2 - tcpa) / (t2 - t1)) ** 2;
+	}
+
+	// range membership - 1 inside close quarters (guard range or warning cpa)
+	let uRange = 0;
+	if (target.range != null) {
+		const r1 = Math.max(
+			profile.guard.range * METERS_PER_NM,
+			profile.warning.cpa * METERS_PER_NM,
+			0.1 * METERS_PER_NM,
+		);
+		const r2 = CRI_RANGE_FACTOR * r1;
+		if (target.range <= r1) {
+			uRange = 1;
+		} else if (target.range <= r2) {
+			uRange = ((r2 - target.range) / (r2 - r1)) ** 2;
+		}
+	}
+
+	// relative bearing membership - highest for targets just forward of the starboard beam
+	let uBearing = 0;
+	const heading = selfTarget.hdg ?? selfTarget.cog;
+	if (target.bearing != null && heading != null) {
+		const relativeBearing =
+			((target.bearing - (heading * 180) / Math.PI - 19) * Math.PI) / 180;
+		const c = Math.cos(relativeBearing);
+		uBearing = 0.5 * (c + Math.sqrt(440 / 289 + c * c)) - 5 / 17;
+	}
+
+	return (
+		(CRI_WEIGHT_CPA * uCpa +
+			CRI_WEIGHT_TCPA * uTcpa +
+			CRI_WEIGHT_RANGE * uRange +
+			CRI_WEIGHT_BEARING * uBearing) /
+		(CRI_WEIGHT_CPA + CRI_WEIGHT_TCPA + CRI_WEIGHT_RANGE + CRI_WEIGHT_BEARING)
+	);
+}
@@ -0,0 +1,159 @@
+// ship domains
+//
+// a ship domain is the zone around our vessel that other vessels should keep out of.
+// unlike the cpa circle, it is larger ahead and to starboard. domains are made of four
+// quarter ellipses with their own semi-axes ahead, astern, to port, and to starboard,
+// and are oriented by our heading (or cog when there is no heading).
+//
+// profile.domain.type selects the shape:
+// ellipse: semi-axes ahead, astern, port, and starboard in NM from the profile
+// fujii: 8L x 3.2L ellipse (Fujii and Tanaka, open sea), L being our length
+// coldwell: 6.1L x 3.9L ellipse shifted to starboard (Coldwell, head-on encounters)
+//
+// all shapes are multiplied by profile.domain.scale, and the domain grows ahead by the
+// distance we cover in DOMAIN_LOOKAHEAD_TIME seconds.
+
+const METERS_PER_NM = 1852;
+
+const DEFAULT_LENGTH = 15; // in meters - used when we dont know our own length
+const DOMAIN_LOOKAHEAD_TIME = 60; // in seconds
+const OUTLINE_POINTS = 72;
+
+// semi-axes as multiples of our length
+const LENGTH_BASED_DOMAINS = {
+	fujii: { ahead: 4, astern: 4, port: 1.6, starboard: 1.6 },
+	coldwell: { ahead: 3.05, astern: 3.05, port: 1.25, starboard: 2.65 },
+};
+
+// semi-axes of the domain in meters
+export function getShipDomainAxes(selfTarget, domain) {
+	const scale = domain.scale ?? 1;
+	let axes;
+
+	if (LENGTH_BASED_DOMAINS[domain.type]) {
+		const length = selfTarget.length || DEFAULT_LENGTH;
+		const shape = LENGTH_BASED_DOMAINS[domain.type];
+		axes = {
+			ahead: shape.ahead * length,
+			astern: shape.astern * length,
+			port: shape.port * length,
+			starboard: shape.starboard * length,
+		};
+	} else {
+		axes = {
+			ahead: (domain.ahead ?? 0) * METERS_PER_NM,
+			astern: (domain.astern ?? 0) * METERS_PER_NM,
+			port: (domain.port ?? 0) * METERS_PER_NM,
+			starboard: (domain.starboard ?? 0) * METERS_PER_NM,
+		};
+	}
+
+	return {
+		ahead: scale * axes.ahead + (selfTarget.sog || 0) * DOMAIN_LOOKAHEAD_TIME,
+		astern: scale * axes.astern,
+		port: scale * axes.port,
+		starboard: scale * axes.starboard,
+	};
+}
+
+// does the relative track of the target (straight line, relative to our vessel)
+// penetrate the domain within the next horizon seconds?
+export function isDomainPenetrated(selfTarget, target, domain, horizon) {
+	const penetration = getDomainPenetration(selfTarget, target, domain, horizon);
+	return penetration != null && penetration < 1;
+}
+
+// smallest value of the normalized distance of the target from our vessel over the
+// next horizon seconds. less than 1 means the target is inside the domain.
+export function getDomainPenetration(selfTarget, target, domain, horizon) {
+	if (
+		selfTarget.vx == null ||
+		selfTarget.vy == null ||
+		target.x == null ||
+		target.y == null ||
+		target.vx == null ||
+		target.vy == null
+	) {
+		return null;
+	}
+
+	const axes = getShipDomainAxes(selfTarget, domain);
+	if (
+		axes.ahead <= 0 ||
+		axes.astern <= 0 ||
+		axes.port <= 0 ||
+		axes.starboard <= 0
+	) {
+		return null;
+	}
+
+	// relative position and velocity in our body frame (forward, starboard)
+	const heading = selfTarget.hdg ?? selfTarget.cog ?? 0;
+	const sin = Math.sin(heading);
+	const cos = Math.cos(heading);
+	const toBody = (v) => ({
+		f: v.x * sin + v.y * cos,
+		s: v.x * cos - v.y * sin,
+	});
+	const p = toBody({ x: target.x - selfTarget.x, y: target.y - selfTarget.y });
+	const v = toBody({
+		x: target.vx - selfTarget.vx,
+		y: target.vy - selfTarget.vy,
+	});
+
+	const distanceAt = (t) => {
+		const f = p.f + t * v.f;
+		const s = p.s + t * v.s;
+		const a = f >= 0 ? axes.ahead : axes.astern;
+		const b = s >= 0 ? axes.starboard : axes.port;
+		return Math.sqrt((f / a) ** 2 + (s / b) ** 2);
+	};
+
+	// the normalized distance is a quadratic in each quadrant, so the minimum is either at
+	// the start or end of the horizon, where the track changes quadrant, or at the
+	// minimum of one of the quadratics
+	const times = [0, horizon];
+	if (v.f !== 0) {
+		times.push(-p.f / v.f);
+	}
+	if (v.s !== 0) {
+		times.push(-p.s / v.s);
+	}
+	for (const a of [axes.ahead, axes.astern]) {
+		for (const b of [axes.port, axes.starboard]) {
+			const denominator = (v.f / a) ** 2 + (v.s / b) ** 2;
+			if (denominator > 0) {
+				times.push(
+					-((p.f * v.f) / a ** 2 + (p.s * v.s) / b ** 2) / denominator,
+				);
+			}
+		}
+	}
+
+	let penetration = Infinity;
+	for (const t of times) {
+		if (t >= 0 && t <= horizon) {
+			penetration = Math.min(penetration, distanceAt(t));
+		}
+	}
+	return penetration;
+}
+
+// domain outline as a list of {x: east, y: north} offsets in meters from our vessel
+export function getShipDomainOutline(selfTarget, domain) {
+	const axes = getShipDomainAxes(selfTarget, domain);
+	const heading = selfTarget.hdg ?? selfTarget.cog ?? 0;
+	const sin = Math.sin(heading);
+	const cos = Math.cos(heading);
+
+	const outline = [];
+	for (let i = 0; i < OUTLINE_POINTS; i++) {
+		const angle = (2 * Math.PI * i) / OUTLINE_POINTS;
+		const f =
+			Math.cos(angle) * (Math.cos(angle) >= 0 ? axes.ahead : axes.astern);
+		const s =
+			Math.sin(angle) * (Math.sin(angle) >= 0 ? axes.starboard : axes.port);
+		outline.push({ x: f * sin + s * cos, y: f * cos - s * sin });
+	}
+	return outline;
+}
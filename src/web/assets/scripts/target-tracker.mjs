@@ -0,0 +1,174 @@
+// kalman filtered target tracks
+//
+// raw AIS cog/sog jumps around, especially at low speed. every position report of a
+// target updates a constant velocity kalman filter that fuses the reported position
+// with the reported cog/sog. the filtered velocity (target.filteredCog and
+// target.filteredSog) is used for the cpa calculations, while target.cog and target.sog
+// keep the raw reported values.
+//
+// east and north are filtered independently, each with a [position, velocity] state,
+// in meters relative to a reference point near the target. the filter state is kept
+// in target.track. the noise of the reported cog/sog is estimated from the recent
+// reports of the target (see cpa-uncertainty.mjs).
+
+import { getCogSogSpread } from "./cpa-uncertainty.mjs";
+
+const EARTH_RADIUS = 6371000; // in meters
+
+const POSITION_STDDEV = 10; // in meters
+const ACCELERATION_STDDEV = 0.05; // in m/s^2 - how quickly targets change their velocity
+const UNKNOWN_VELOCITY_STDDEV = 10; // in m/s - initial velocity uncertainty without cog/sog
+
+const MAX_REPORT_INTERVAL = 5 * 60; // in seconds - restart the track after a longer gap
+const MAX_POSITION_INNOVATION = 500; // in meters - restart the track after a bigger jump
+const MAX_REFERENCE_DISTANCE = 10000; // in meters - move the reference point after this
+
+// update the track of the target with its latest position report
+export function updateTrack(target) {
+	const time = target.lastSeenDate?.getTime();
+	const latitude = target.latitude;
+	const longitude = target.longitude;
+
+	if (!time || latitude == null || longitude == null) {
+		target.track = null;
+		target.filteredCog = null;
+		target.filteredSog = null;
+		return;
+	}
+
+	const track = target.track;
+
+	// no new report since the last update
+	if (track && track.time === time) {
+		return;
+	}
+
+	const velocity = getVelocityMeasurement(target);
+
+	if (
+		!track ||
+		time < track.time ||
+		time - track.time > MAX_REPORT_INTERVAL * 1000
+	) {
+		startTrack(target, time, latitude, longitude, velocity);
+		return;
+	}
+
+	let position = toLocal(track, latitude, longitude);
+	const dt = (time - track.time) / 1000;
+
+	predict(track.east, dt);
+	predict(track.north, dt);
+
+	if (
+		Math.hypot(position.east - track.east.p, position.north - track.north.p) >
+		MAX_POSITION_INNOVATION
+	) {
+		startTrack(target, time, latitude, longitude, velocity);
+		return;
+	}
+
+	// keep the reference point close to the target
+	if (Math.hypot(position.east, position.north) > MAX_REFERENCE_DISTANCE) {
+		track.east.p -= position.east;
+		track.north.p -= position.north;
+		track.latitude = latitude;
+		track.longitude = longitude;
+		position = { east: 0, north: 0 };
+	}
+
+	updatePosition(track.east, position.east, POSITION_STDDEV ** 2);
+	updatePosition(track.north, position.north, POSITION_STDDEV ** 2);
+	if (velocity) {
+		updateVelocity(track.east, velocity.east, velocity.variance);
+		updateVelocity(track.north, velocity.north, velocity.variance);
+	}
+
+	track.time = time;
+	updateFilteredCogSog(target);
+}
+
+function startTrack(target, time, latitude, longitude, velocity) {
+	const velocityVariance = velocity
+		? velocity.variance
+		: UNKNOWN_VELOCITY_STDDEV ** 2;
+	const axis = (v) => ({
+		p: 0,
+		v: v,
+		P: [POSITION_STDDEV ** 2, 0, velocityVariance],
+	});
+
+	target.track = {
+		time: time,
+		latitude: latitude,
+		longitude: longitude,
+		east: axis(velocity ? velocity.east : 0),
+		north: axis(velocity ? velocity.north : 0),
+	};
+	updateFilteredCogSog(target);
+}
+
+function updateFilteredCogSog(target) {
+	const east = target.track.east.v;
+	const north = target.track.north.v;
+	target.filteredSog = Math.hypot(east, north);
+	target.filteredCog = (Math.atan2(east, north) + 2 * Math.PI) % (2 * Math.PI);
+}
+
+// reported cog/sog as an east/north velocity with its (isotropic) variance
+function getVelocityMeasurement(target) {
+	if (target.cog == null || target.sog == null) {
+		return null;
+	}
+	const spread = getCogSogSpread(target);
+	return {
+		east: target.sog * Math.sin(target.cog),
+		north: target.sog * Math.cos(target.cog),
+		variance: spread.sog ** 2 + (target.sog * spread.cog) ** 2,
+	};
+}
+
+// meters east and north of the reference point of the track
+function toLocal(track, latitude, longitude) {
+	const dLon =
+		((((longitude - track.longitude + 540) % 360) - 180) * Math.PI) / 180;
+	return {
+		east: dLon * EARTH_RADIUS * Math.cos((track.latitude * Math.PI) / 180),
+		north: (((latitude - track.latitude) * Math.PI) / 180) * EARTH_RADIUS,
+	};
+}
+
+// constant velocity model with white noise acceleration.
+// the covariance P is stored as [position variance, covariance, velocity variance].
+function predict(axis, dt) {
+	const q = ACCELERATION_STDDEV ** 2;
+	const [p00, p01, p11] = axis.P;
+	axis.p += axis.v * dt;
+	axis.P = [
+		p00 + 2 * dt * p01 + dt * dt * p11 + (q * dt ** 3) / 3,
+		p01 + dt * p11 + (q * dt ** 2) / 2,
+		p11 + q * dt,
+	];
+}
+
+function updatePosition(axis, z, r) {
+	const [p00, p01, p11] = axis.P;
+	const s = p00 + r;
+	const k0 = p00 / s;
+	const k1 = p01 / s;
+	const y = z - axis.p;
+	axis.p += k0 * y;
+	axis.v += k1 * y;
+	axis.P = [(1 - k0) * p00, (1 - k0) * p01, p11 - k1 * p01];
+}
+
+function updateVelocity(axis, z, r) {
+	const [p00, p01, p11] = axis.P;
+	const s = p11 + r;
+	const k0 = p01 / s;
+	const k1 = p11 / s;
+	const y = z - axis.v;
+	axis.p += k0 * y;
+	axis.v += k1 * y;
+	axis.P = [p00 - k0 * p01, (1 - k1) * p01, (1 - k1) * p11];
+}
@@ -0,0 +1,179 @@
+// trial manoeuvre solver
+//
+// finds the smallest alteration of our course (to port and to starboard), and the
+// smallest change of our speed, that brings every target outside the collision alarm
+// criteria of the active profile (the same test as evaluateAlarms, with the cpa mode and
+// alarm model of the profile) - without creating a new alarm with any other target.
+// targets are assumed to keep their current course and speed, and the manoeuvre is
+// assumed to be immediate.
+
+import {
+	updateCpa,
+	updateHullCpa,
+	updateTurnAwareCpa,
+} from "./closest-approach.mjs";
+import { getAlarmCpa, meetsCollisionCriteria } from "./collision-criteria.mjs";
+import { updateCpaUncertainty } from "./cpa-uncertainty.mjs";
+
+const KNOTS_PER_M_PER_S = 1.94384;
+
+const MAX_COURSE_ALTERATION = 90; // in degrees
+const COURSE_ALTERATION_STEP = 1; // in degrees
+const SPEED_CHANGE_STEP = 0.5; // in knots
+const MAX_SPEED_INCREASE = 10; // in knots
+
+// returns an object with:
+// targets: mmsi's of the targets that currently meet the collision alarm criteria
+// starboard, port: { alteration, course } in degrees, or null when no alteration up to 90 degrees clears all targets
+// speed: { change, speed } in knots, or null when no speed change clears all targets
+export function getTrialManoeuvres(targets, selfTarget, collisionProfiles) {
+	const profile = collisionProfiles[collisionProfiles.current];
+	const candidateTargets = getCandidateTargets(targets, selfTarget, profile);
+	const dangerTargets = candidateTargets.filter((target) =>
+		isDanger(target, selfTarget, selfTarget.vx, selfTarget.vy, profile),
+	);
+
+	const result = {
+		targets: dangerTargets.map((target) => target.mmsi),
+		starboard: null,
+		port: null,
+		speed: null,
+	};
+
+	if (
+		dangerTargets.length === 0 ||
+		selfTarget.cog == null ||
+		selfTarget.sog == null
+	) {
+		return result;
+	}
+
+	const course = selfTarget.cog;
+	const sog = selfTarget.sog;
+
+	for (
+		let alteration = COURSE_ALTERATION_STEP;
+		alteration <= MAX_COURSE_ALTERATION;
+		alteration += COURSE_ALTERATION_STEP
+	) {
+		for (const side of ["starboard", "port"]) {
+			if (result[side]) {
+				continue;
+			}
+			const newCourse =
+				course + ((side === "starboard" ? 1 : -1) * alteration * Math.PI) / 180;
+			if (isClear(candidateTargets, selfTarget, newCourse, sog, profile)) {
+				result[side] = {
+					alteration: alteration,
+					course: Math.round((((newCourse * 180) / Math.PI) % 360) + 360) % 360,
+				};
+			}
+		}
+		if (result.starboard && result.port) {
+			break;
+		}
+	}
+
+	// try the smallest speed changes first, slower before faster
+	const sogInKnots = sog * KNOTS_PER_M_PER_S;
+	for (
+		let change = SPEED_CHANGE_STEP;
+		change <= Math.max(sogInKnots, MAX_SPEED_INCREASE);
+		change += SPEED_CHANGE_STEP
+	) {
+		for (const newSpeed of [sogInKnots - change, sogInKnots + change]) {
+			if (
+				newSpeed < 0 ||
+				newSpeed > sogInKnots + MAX_SPEED_INCREASE ||
+				result.speed
+			) {
+				continue;
+			}
+			if (
+				isClear(
+					candidateTargets,
+					selfTarget,
+					course,
+					newSpeed / KNOTS_PER_M_PER_S,
+					profile,
+				)
+			) {
+				result.speed = {
+					change: Math.round((newSpeed - sogInKnots) * 10) / 10,
+					speed: Math.round(newSpeed * 10) / 10,
+				};
+			}
+		}
+		if (result.speed) {
+			break;
+		}
+	}
+
+	return result;
+}
+
+// targets that can trip the collision alarm
+export function getCandidateTargets(targets, selfTarget, profile) {
+	const candidateTargets = [];
+	targets.forEach((target) => {
+		if (
+			target.mmsi !== selfTarget.mmsi &&
+			target.isValid &&
+			!target.isLost &&
+			target.x != null &&
+			target.y != null &&
+			target.vx != null &&
+			target.vy != null &&
+			(profile.danger.speed === 0 ||
+				(target.sog != null &&
+					target.sog > profile.danger.speed / KNOTS_PER_M_PER_S))
+		) {
+			candidateTargets.push(target);
+		}
+	});
+	return candidateTargets;
+}
+
+function isClear(candidateTargets, selfTarget, course, sog, profile) {
+	const vx = sog * Math.sin(course);
+	const vy = sog * Math.cos(course);
+	return candidateTargets.every(
+		(target) => !isDanger(target, selfTarget, vx, vy, profile),
+	);
+}
+
+// the collision alarm test of evaluateAlarms (cpa mode and alarm model of the profile)
+// for the target when we sail with velocity vx, vy
+export function isDanger(target, selfTarget, vx, vy, profile) {
+	const trialSelfTarget = {
+		...selfTarget,
+		vx: vx,
+		vy: vy,
+		cog: Math.atan2(vx, vy),
+		sog: Math.hypot(vx, vy),
+		// we are steady on the new course
+		hdg: null,
+		rot: 0,
+	};
+	const trialTarget = { ...target };
+
+	updateCpa(trialSelfTarget, trialTarget);
+	if (profile.cpaMode === "turn") {
+		updateTurnAwareCpa(trialSelfTarget, trialTarget);
+	} else if (profile.cpaMode === "hull") {
+		updateHullCpa(trialSelfTarget, trialTarget);
+	} else if (profile.cpaMode === "pessimistic") {
+		updateCpaUncertainty(trialSelfTarget, trialTarget, profile);
+	}
+
+	const { cpa, tcpa } = getAlarmCpa(trialTarget, profile);
+	return meetsCollisionCriteria(
+		trialSelfTarget,
+		trialTarget,
+		profile,
+		profile.danger,
+		cpa,
+		tcpa,
+		0,
+	);
+}